@@ -44,10 +44,46 @@ let rctcData = {
     }
 };
 
+// RCTC trigger code index built from every trigger tab of the RCTC workbook
+// (loadRCTCTriggerIndex): code -> [{ codeSystem, valueSetOid, valueSetName, ... }]
+let rctcTriggerIndex = new Map();
+let rctcTriggerIndexLoaded = false;
+// false while the index only holds the fallback trigger codes (workbook not loaded)
+let rctcTriggerIndexComplete = false;
+
+// RCTC code system names -> OIDs (codes are unique per code system, not globally)
+const RCTC_CODE_SYSTEMS = {
+    SNOMEDCT: '2.16.840.1.113883.6.96',
+    ICD10CM: '2.16.840.1.113883.6.90',
+    LOINC: '2.16.840.1.113883.6.1',
+    RXNORM: '2.16.840.1.113883.6.88',
+    CVX: '2.16.840.1.113883.12.292'
+};
+
 // Global variable to store conditions data
 let conditionsData = [];
 let conditionsLoaded = false;
 
+// Reportability Response metadata per jurisdiction (state code). Every field is
+// optional; agencies default to "<jurisdiction> Health Department".
+//   IL: {
+//     name: 'Illinois',
+//     responsibleAgency: { id: '<OID>', name: 'Illinois Department of Public Health',
+//                          phone: '', email: '', url: '',
+//                          address: { street: '', city: '', state: 'IL', zip: '' } },
+//     rulesAuthoringAgency: { ... },           // defaults to responsibleAgency
+//     routingEntity: { ... },                  // defaults to responsibleAgency
+//     reportingTimeframe: { value: 72, unit: 'h' },
+//     conditionTimeframes: { COV: { value: 24, unit: 'h' } },   // by engine condition id
+//     externalResources: [{ title: 'Reporting guidance', url: 'https://...' }],
+//     conditionResources: { COV: [{ title: '', url: '' }] }
+//   }
+const RR_JURISDICTIONS = {};
+
+// localStorage key and size of the history of generated eICRs (eicr-history.js)
+const EICR_HISTORY_STORAGE_KEY = 'ecr.eicrHistory';
+const EICR_HISTORY_LIMIT = 200;
+
 // DQ Schematron ValueSets
 const DQ_VALUESETS = {
     administrativeGender: {
@@ -72,7 +108,38 @@ const DQ_VALUESETS = {
     }
 };
 
-// Non-blocking DQ validation errors (still display but don't prevent CDA generation)
-const NON_BLOCKING_DQ = new Set([
-    'dq-patientName-002/004'
-]);
+// Validation profiles: the severity each receiver gives a validation rule id.
+// 'error' blocks CDA generation, 'warning' is shown but does not block, 'off' is
+// not reported. Rules a profile does not list are errors.
+const VALIDATION_PROFILES = {
+    statePHA: {
+        name: 'State PHA',
+        severities: {
+            'dq-patientName-002/004': 'warning',
+            'form-procedure-code': 'warning',
+            'form-procedure-name': 'warning'
+        }
+    },
+    strict: {
+        name: 'Strict (every rule is an error)',
+        severities: {}
+    },
+    testHarness: {
+        name: 'Test harness',
+        severities: {
+            'FATAL': 'warning',
+            'dq-patientName-002/004': 'off',
+            'dq-patientAddress-002/003/004': 'warning',
+            'dq-patientAddress-005/006': 'warning',
+            'dq-patientAddress-007/008': 'warning',
+            'dq-patientAddress-009/010': 'warning',
+            'dq-raceCode-001': 'warning',
+            'dq-raceCode-002': 'warning',
+            'dq-ethnicGroupCode-001': 'warning',
+            'dq-ethnicGroupCode-002': 'warning',
+            'form-procedure-code': 'warning',
+            'form-procedure-name': 'warning'
+        }
+    }
+};
+const DEFAULT_VALIDATION_PROFILE = 'statePHA';
@@ -460,3 +460,122 @@ function getHardcodedConditions() {
         { condition: "Gonorrhea", code: "86299006", codeType: "SNOMEDCT", description: "Gonorrhea (disorder)" }
     ];
 }
+
+// RCTC tabs holding trigger codes; each ends with an expansion list of
+// [Member OID, Code, Descriptor, Code System, Version, Status] rows
+const RCTC_TRIGGER_SHEETS = [
+    'Diagnosis_Problem S1', 'Organism_Substance S2', 'Lab Order Test Name S3',
+    'Lab Obs Test Name S4', 'Medications S5', 'Suspected_Disorder S6'
+];
+
+/**
+ * Build the trigger code index from a parsed RCTC workbook
+ * Value set names come from each tab's grouping list where the tab has one;
+ * otherwise only the grouping value set (e.g. "Lab Obs Test Triggers") is named.
+ * @param {Object} workbook - XLSX workbook of the RCTC release
+ * @returns {Map<string, Array<Object>>} code -> trigger value set entries
+ */
+function buildRCTCTriggerIndex(workbook) {
+    const norm = v => String(v ?? '').replace(/\u00A0/g, ' ').trim();
+    const isOid = v => /^\d+(\.\d+)+$/.test(v);
+    const rowsOf = name => XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1, defval: '' })
+        .map(r => r.map(norm));
+
+    // "Value Sets" tab: release metadata and one grouping value set per trigger tab
+    const groupings = [];
+    let release = { oid: '', version: '', label: '' };
+    if (workbook.Sheets['Value Sets']) {
+        rowsOf('Value Sets').forEach(r => {
+            if (r[0] === 'RCTC OID') release.oid = r[1];
+            if (r[0] === 'RCTC Definition Version') release.version = r[1];
+            if (r[0] === 'RCTC Release Label') release.label = r[1];
+            if (/Triggers for Public Health Reporting$/.test(r[0]) && isOid(r[1])) {
+                groupings.push({ name: r[0], oid: r[1] });
+            }
+        });
+    }
+
+    const index = new Map();
+    RCTC_TRIGGER_SHEETS.filter(name => workbook.Sheets[name]).forEach(sheetName => {
+        const tabPrefix = sheetName.replace(/( Name)? S\d+$/, '');
+        const grouping = groupings.find(g => g.name.startsWith(tabPrefix)) || { name: sheetName, oid: '' };
+        const rows = rowsOf(sheetName);
+
+        // Grouping list rows: [Name, OID, Code System, Code System OID, Status, Condition Name, ...]
+        const valueSets = new Map();
+        rows.filter(r => r[0] !== 'OID' && isOid(r[1]) && r[0] && !isOid(r[0]))
+            .forEach(r => valueSets.set(r[1], { name: r[0], conditionName: r[5] }));
+
+        rows.filter(r => isOid(r[0]) && r[1] && RCTC_CODE_SYSTEMS[r[3]])
+            .forEach(r => {
+                const valueSet = valueSets.get(r[0]) || {};
+                const entry = {
+                    code: r[1],
+                    display: r[2],
+                    codeSystem: r[3],
+                    codeSystemOid: RCTC_CODE_SYSTEMS[r[3]],
+                    valueSetOid: r[0],
+                    valueSetName: valueSet.name || '',
+                    conditionName: valueSet.conditionName || '',
+                    groupingOid: grouping.oid,
+                    groupingName: grouping.name,
+                    rctcVersion: release.label || release.version
+                };
+                if (!index.has(entry.code)) index.set(entry.code, []);
+                index.get(entry.code).push(entry);
+            });
+    });
+
+    console.log(`Indexed ${index.size} RCTC trigger codes (release ${release.label || 'unknown'})`);
+    return index;
+}
+
+// Load the RCTC trigger code index used by isRCTCTriggerCode
+async function loadRCTCTriggerIndex() {
+    try {
+        const response = await fetch('./assets/data/RCTC_Release (2025-03-18).xlsx');
+        if (!response.ok) {
+            throw new Error(`Failed to load RCTC Excel file: ${response.status}`);
+        }
+
+        const workbook = XLSX.read(await response.arrayBuffer(), { type: 'array' });
+        rctcTriggerIndex = buildRCTCTriggerIndex(workbook);
+        rctcTriggerIndexComplete = true;
+    } catch (error) {
+        console.warn('Failed to load RCTC trigger codes; using the fallback trigger codes:', error);
+        // Fallback to hardcoded values if RCTC file can't be loaded (e.g. opened from file://)
+        rctcTriggerIndex = new Map();
+        getHardcodedRCTCTriggers().forEach(entry => rctcTriggerIndex.set(entry.code, [entry]));
+        rctcTriggerIndexComplete = false;
+    }
+    rctcTriggerIndexLoaded = true;
+    return rctcTriggerIndex;
+}
+
+// Fallback hardcoded RCTC trigger codes (RCTC release 2025-03-18), index entry shape
+function getHardcodedRCTCTriggers() {
+    const DIAGNOSIS = 'Diagnosis_Problem Triggers for Public Health Reporting';
+    const LAB_OBS = 'Lab Obs Test Triggers for Public Health Reporting';
+    return [
+        ['840539006', 'Disease caused by severe acute respiratory syndrome coronavirus 2 (disorder)', 'SNOMEDCT', '2.16.840.1.113762.1.4.1146.1124', DIAGNOSIS],
+        ['719865001', 'Influenza caused by pandemic influenza virus (disorder)', 'SNOMEDCT', '2.16.840.1.113762.1.4.1146.130', DIAGNOSIS],
+        ['3928002', 'Zika virus disease (disorder)', 'SNOMEDCT', '2.16.840.1.113762.1.4.1146.590', DIAGNOSIS],
+        ['41040004', 'Complete trisomy 21 syndrome (disorder)', 'SNOMEDCT', '2.16.840.1.113762.1.4.1146.2124', DIAGNOSIS],
+        ['72951007', 'Gastroschisis (disorder)', 'SNOMEDCT', '2.16.840.1.113762.1.4.1146.2131', DIAGNOSIS],
+        ['67531005', 'Spina bifida (disorder)', 'SNOMEDCT', '2.16.840.1.113762.1.4.1146.2122', DIAGNOSIS],
+        ['414819007', 'Neonatal abstinence syndrome (disorder)', 'SNOMEDCT', '2.16.840.1.113762.1.4.1146.2259', DIAGNOSIS],
+        ['94310-0', 'SARS-related coronavirus N gene [Presence] in Specimen by Nucleic acid amplification using CDC primer-probe set N3', 'LOINC', '2.16.840.1.113762.1.4.1146.847', LAB_OBS],
+        ['34487-9', 'Influenza virus A RNA [Presence] in Specimen by NAA with probe detection', 'LOINC', '2.16.840.1.113762.1.4.1146.1565', LAB_OBS]
+    ].map(([code, display, codeSystem, valueSetOid, groupingName]) => ({
+        code: code,
+        display: display,
+        codeSystem: codeSystem,
+        codeSystemOid: RCTC_CODE_SYSTEMS[codeSystem],
+        valueSetOid: valueSetOid,
+        valueSetName: '',
+        conditionName: '',
+        groupingOid: '',
+        groupingName: groupingName,
+        rctcVersion: '2025-03-18'
+    }));
+}
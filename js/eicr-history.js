@@ -0,0 +1,207 @@
+/**
+ * eicr-history.js
+ *
+ * History of generated eICRs and the RPLC (replace/update) workflow
+ * Every eICR the tool generates is remembered in localStorage with its
+ * document id, setId, version, generation time and patient. Picking
+ * "Create update" on an entry turns the form into the next version of that
+ * document: relationship RPLC, same setId, incremented versionNumber and a
+ * new document id.
+ *
+ * Dependencies:
+ * - config.js (EICR_HISTORY_STORAGE_KEY, EICR_HISTORY_LIMIT)
+ * - rr-generator.js (getEICRIdentifiers)
+ * - form-handlers.js (handleRelationshipTypeChange, showCleanUINotification)
+ * - initialization.js (generateUUID)
+ */
+
+/**
+ * Load the eICR history, newest first
+ * @returns {Array<Object>} History entries; empty when storage is unavailable or corrupt
+ */
+function loadEICRHistory() {
+    try {
+        const entries = JSON.parse(localStorage.getItem(EICR_HISTORY_STORAGE_KEY) || '[]');
+        return Array.isArray(entries) ? entries : [];
+    } catch (e) {
+        console.warn('eICR history could not be read:', e);
+        return [];
+    }
+}
+
+function saveEICRHistory(entries) {
+    try {
+        localStorage.setItem(EICR_HISTORY_STORAGE_KEY, JSON.stringify(entries.slice(0, EICR_HISTORY_LIMIT)));
+    } catch (e) {
+        console.warn('eICR history could not be saved:', e);
+    }
+}
+
+/**
+ * Remember a generated eICR. Generating the same document id again replaces its entry.
+ * @param {string} eicrXml - Generated eICR
+ * @param {Object} data - Form data the eICR was built from
+ * @returns {Object} The history entry
+ */
+function recordGeneratedEICR(eicrXml, data) {
+    const ids = getEICRIdentifiers(eicrXml);
+    const entry = {
+        documentId: ids.id.root,
+        setIdRoot: ids.setId.root,
+        setId: ids.setId.extension,
+        versionNumber: parseInt(ids.versionNumber, 10) || 1,
+        relationshipType: data.documentRelationshipType || 'NEW',
+        parentDocumentId: data.documentRelationshipType === 'RPLC' ? (data.relatedDocumentParentId || '') : '',
+        generatedAt: new Date().toISOString(),
+        patient: {
+            id: data.patientId || '',
+            name: data.patientName || '',
+            birthDate: data.patientBirthDate || ''
+        }
+    };
+
+    const entries = loadEICRHistory().filter(e => e.documentId !== entry.documentId);
+    entries.unshift(entry);
+    saveEICRHistory(entries);
+    renderEICRHistory();
+    return entry;
+}
+
+/**
+ * First eICR of the document chain an entry belongs to, following the RPLC
+ * parents that are still in the history
+ * @param {Object} entry - History entry
+ * @param {Array<Object>} entries - The history
+ * @returns {Object} Root entry of the chain
+ */
+function getEICRChainRoot(entry, entries) {
+    const seen = new Set([entry.documentId]);
+    let root = entry;
+    while (root.parentDocumentId && !seen.has(root.parentDocumentId)) {
+        const parent = entries.find(e => e.documentId === root.parentDocumentId);
+        if (!parent) break;
+        seen.add(parent.documentId);
+        root = parent;
+    }
+    return root;
+}
+
+/**
+ * Next version number of a document chain: one above the highest version generated
+ * for the entry's original eICR and its updates. The setId alone does not identify
+ * a document, since unrelated forms can carry the same setId.
+ * @param {Object} entry - History entry being replaced
+ * @returns {number} Version number
+ */
+function getNextEICRVersion(entry) {
+    const entries = loadEICRHistory();
+    const rootId = getEICRChainRoot(entry, entries).documentId;
+    const versions = entries
+        .filter(e => e.setId === entry.setId && getEICRChainRoot(e, entries).documentId === rootId)
+        .map(e => e.versionNumber);
+    return Math.max(entry.versionNumber, ...versions) + 1;
+}
+
+/**
+ * Turn the form into an update (RPLC) of a generated eICR
+ * The clinical content stays as it is in the form; only the document
+ * identification fields change.
+ * @param {string} documentId - Document id of the eICR being replaced
+ */
+function createEICRUpdate(documentId) {
+    const entry = loadEICRHistory().find(e => e.documentId === documentId);
+    if (!entry) {
+        showCleanUINotification('❌ That eICR is no longer in the history', 'error');
+        return;
+    }
+
+    const now = new Date();
+    const localNow = new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().substring(0, 16);
+    const version = getNextEICRVersion(entry);
+    const values = {
+        documentRelationshipType: 'RPLC',
+        relatedDocumentId: entry.setId,
+        relatedDocumentParentId: entry.documentId,
+        setId: entry.setId,
+        versionNumber: String(version),
+        documentId: generateUUID(),
+        effectiveTime: localNow
+    };
+    Object.entries(values).forEach(([id, value]) => {
+        const element = document.getElementById(id);
+        if (element) element.value = value;
+    });
+    handleRelationshipTypeChange();
+
+    showCleanUINotification(`✅ Form set up as version ${version} of eICR set ${entry.setId}`, 'success');
+}
+
+/**
+ * Forget one generated eICR
+ * @param {string} documentId - Document id of the entry
+ */
+function removeEICRHistoryEntry(documentId) {
+    saveEICRHistory(loadEICRHistory().filter(e => e.documentId !== documentId));
+    renderEICRHistory();
+}
+
+function clearEICRHistory() {
+    if (!confirm('Forget all generated eICRs? The documents themselves are not affected.')) return;
+    saveEICRHistory([]);
+    renderEICRHistory();
+}
+
+/**
+ * Render the history list in the Related Document Information section
+ */
+function renderEICRHistory() {
+    const container = document.getElementById('eicrHistoryList');
+    if (!container) return;
+
+    const entries = loadEICRHistory();
+    const clearBtn = document.getElementById('eicrHistoryClearBtn');
+    if (clearBtn) clearBtn.style.display = entries.length > 0 ? '' : 'none';
+
+    if (entries.length === 0) {
+        container.innerHTML = '<p style="color: #64748b; font-style: italic;">No eICRs generated yet.</p>';
+        return;
+    }
+
+    const x = s => xmlEscape(s || '');
+    const rows = entries.map(e => `
+        <tr>
+            <td>${x(new Date(e.generatedAt).toLocaleString())}</td>
+            <td>${x(e.patient.name || e.patient.id || 'Unknown')}</td>
+            <td title="${x(e.documentId)}"><code>${x(e.setId)}</code></td>
+            <td>${e.versionNumber}</td>
+            <td>${e.relationshipType === 'RPLC' ? 'Update' : 'New'}</td>
+            <td style="white-space: nowrap;">
+                <button class="btn btn-secondary btn-sm eicr-update-btn" type="button" data-document-id="${x(e.documentId)}">Create update</button>
+                <button class="btn btn-warning btn-sm eicr-forget-btn" type="button" data-document-id="${x(e.documentId)}">🗑️</button>
+            </td>
+        </tr>`).join('');
+
+    container.innerHTML = `
+        <table style="width: 100%; border-collapse: collapse; font-size: 13px;">
+            <thead>
+                <tr style="text-align: left;">
+                    <th>Generated</th><th>Patient</th><th>Set ID</th><th>Version</th><th>Type</th><th></th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>`;
+    container.querySelectorAll('.eicr-update-btn').forEach(btn => {
+        btn.onclick = () => createEICRUpdate(btn.dataset.documentId);
+    });
+    container.querySelectorAll('.eicr-forget-btn').forEach(btn => {
+        btn.onclick = () => removeEICRHistoryEntry(btn.dataset.documentId);
+    });
+}
+
+// Expose functions globally for onclick attributes and cross-module access
+window.loadEICRHistory = loadEICRHistory;
+window.recordGeneratedEICR = recordGeneratedEICR;
+window.createEICRUpdate = createEICRUpdate;
+window.removeEICRHistoryEntry = removeEICRHistoryEntry;
+window.clearEICRHistory = clearEICRHistory;
+window.renderEICRHistory = renderEICRHistory;
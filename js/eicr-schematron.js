@@ -0,0 +1,355 @@
+/**
+ * eicr-schematron.js
+ *
+ * Schematron-style validation of the generated eICR XML
+ * validateFormData checks the form before generation; the rules here check
+ * the document buildEICRXml actually produced. Each rule is an XPath
+ * assertion: `test` is evaluated as a boolean against every node matched by
+ * `context`, and a false result is reported with the rule id and the XPath
+ * of the offending node. Rule ids are the C-CDA CONF numbers where the
+ * constraint comes from the US Realm Header, otherwise an `eicr-` id.
+ *
+ * Dependencies: none (browser DOMParser and document.evaluate)
+ */
+
+const EICR_XPATH_NAMESPACES = {
+    cda: 'urn:hl7-org:v3',
+    sdtc: 'urn:hl7-org:sdtc',
+    xsi: 'http://www.w3.org/2001/XMLSchema-instance'
+};
+
+// Sections buildEICRXml always emits (with nullFlavor="NI" when empty). The Results
+// Section is left out: it is only built when there are lab rows. Social History is
+// matched with its extension so the Occupational Data for Health section (same root,
+// extension 2020-09-01) is not counted.
+const EICR_REQUIRED_SECTIONS = [
+    { root: '2.16.840.1.113883.10.20.22.2.22.1', name: 'Encounters Section' },
+    { root: '2.16.840.1.113883.10.20.22.2.12', name: 'Reason for Visit Section' },
+    { root: '1.3.6.1.4.1.19376.1.5.3.1.3.4', name: 'History of Present Illness Section' },
+    { root: '2.16.840.1.113883.10.20.22.2.38', name: 'Medications Administered Section' },
+    { root: '2.16.840.1.113883.10.20.22.2.5.1', name: 'Problem Section' },
+    { root: '2.16.840.1.113883.10.20.22.2.17', extension: '2015-08-01', name: 'Social History Section' }
+];
+
+// eICR trigger code templates: the trigger code must name the RCTC value set it came from
+const EICR_TRIGGER_TEMPLATES = [
+    '2.16.840.1.113883.10.20.15.2.3.2',
+    '2.16.840.1.113883.10.20.15.2.3.3',
+    '2.16.840.1.113883.10.20.15.2.3.4',
+    '2.16.840.1.113883.10.20.15.2.3.35',
+    '2.16.840.1.113883.10.20.15.2.3.36',
+    '2.16.840.1.113883.10.20.15.2.3.38'
+];
+
+// HL7 NullFlavor (2.16.840.1.113883.5.1008)
+const HL7_NULL_FLAVORS = ['NI', 'INV', 'DER', 'OTH', 'NINF', 'PINF', 'UNC', 'MSK', 'NA', 'UNK', 'ASKU', 'NAV', 'NASK', 'NAVU', 'QS', 'TRC', 'NP'];
+
+const hasTemplateXPath = (root, extension) => `cda:templateId[@root='${root}']${extension ? `[@extension='${extension}']` : ''}`;
+const triggerTemplateXPath = EICR_TRIGGER_TEMPLATES.map(root => hasTemplateXPath(root)).join(' or ');
+
+const EICR_SCHEMATRON_RULES = [
+    // US Realm Header
+    {
+        id: 'CONF:1198-16791', severity: 'error', context: '/cda:ClinicalDocument',
+        test: "count(cda:realmCode[@code='US']) = 1",
+        message: 'SHALL contain exactly one realmCode="US"'
+    },
+    {
+        id: 'CONF:1198-5361', severity: 'error', context: '/cda:ClinicalDocument',
+        test: "count(cda:typeId[@root='2.16.840.1.113883.1.3'][@extension='POCD_HD000040']) = 1",
+        message: 'SHALL contain exactly one typeId (root 2.16.840.1.113883.1.3, extension POCD_HD000040)'
+    },
+    {
+        id: 'CONF:1198-5252', severity: 'error', context: '/cda:ClinicalDocument',
+        test: "cda:templateId[@root='2.16.840.1.113883.10.20.22.1.1'][@extension='2015-08-01']",
+        message: 'SHALL contain the US Realm Header templateId 2.16.840.1.113883.10.20.22.1.1 (2015-08-01)'
+    },
+    {
+        id: 'eicr-header-template', severity: 'error', context: '/cda:ClinicalDocument',
+        test: "cda:templateId[@root='2.16.840.1.113883.10.20.15.2'][@extension]",
+        message: 'SHALL contain the eICR document templateId 2.16.840.1.113883.10.20.15.2 with a version extension'
+    },
+    {
+        id: 'CONF:1198-5363', severity: 'error', context: '/cda:ClinicalDocument',
+        test: 'count(cda:id) = 1 and cda:id/@root',
+        message: 'SHALL contain exactly one document id with a root'
+    },
+    {
+        id: 'CONF:1198-5253', severity: 'error', context: '/cda:ClinicalDocument',
+        test: "count(cda:code[@code='55751-2'][@codeSystem='2.16.840.1.113883.6.1']) = 1",
+        message: 'SHALL contain exactly one code 55751-2 (Public Health Case Report, LOINC)'
+    },
+    {
+        id: 'CONF:1198-5254', severity: 'error', context: '/cda:ClinicalDocument',
+        test: "count(cda:title) = 1 and normalize-space(cda:title) != ''",
+        message: 'SHALL contain exactly one non-empty title'
+    },
+    {
+        id: 'CONF:1198-5256', severity: 'error', context: '/cda:ClinicalDocument',
+        test: 'count(cda:effectiveTime[@value]) = 1',
+        message: 'SHALL contain exactly one effectiveTime with a value'
+    },
+    {
+        id: 'CONF:1198-5259', severity: 'error', context: '/cda:ClinicalDocument',
+        test: 'count(cda:confidentialityCode[@code]) = 1',
+        message: 'SHALL contain exactly one confidentialityCode'
+    },
+    {
+        id: 'CONF:1198-5372', severity: 'error', context: '/cda:ClinicalDocument',
+        test: 'count(cda:languageCode[@code]) = 1',
+        message: 'SHALL contain exactly one languageCode'
+    },
+    {
+        id: 'eicr-set-id', severity: 'error', context: '/cda:ClinicalDocument',
+        test: 'count(cda:setId[@root]) = 1',
+        message: 'SHALL contain exactly one setId with a root'
+    },
+    {
+        id: 'eicr-version-number', severity: 'error', context: '/cda:ClinicalDocument',
+        test: 'count(cda:versionNumber[@value]) = 1',
+        message: 'SHALL contain exactly one versionNumber with a value'
+    },
+    {
+        id: 'eicr-rplc-parent', severity: 'error', context: "/cda:ClinicalDocument/cda:relatedDocument[@typeCode='RPLC']",
+        test: 'cda:parentDocument/cda:id[@root] and cda:parentDocument/cda:setId and number(../cda:versionNumber/@value) > 1',
+        message: 'A replacement (RPLC) SHALL identify the parent document (id and setId) and have a versionNumber above 1'
+    },
+    {
+        id: 'CONF:1198-5266', severity: 'error', context: '/cda:ClinicalDocument',
+        test: 'count(cda:recordTarget) = 1',
+        message: 'SHALL contain exactly one recordTarget'
+    },
+    {
+        id: 'CONF:1198-5268', severity: 'error', context: '/cda:ClinicalDocument/cda:recordTarget/cda:patientRole',
+        test: 'cda:id',
+        message: 'patientRole SHALL contain at least one id'
+    },
+    {
+        id: 'CONF:1198-5284', severity: 'error', context: '/cda:ClinicalDocument/cda:recordTarget/cda:patientRole/cda:patient',
+        test: 'cda:name',
+        message: 'patient SHALL contain at least one name'
+    },
+    {
+        id: 'CONF:1198-6394', severity: 'error', context: '/cda:ClinicalDocument/cda:recordTarget/cda:patientRole/cda:patient',
+        test: 'count(cda:administrativeGenderCode) = 1',
+        message: 'patient SHALL contain exactly one administrativeGenderCode'
+    },
+    {
+        id: 'CONF:1198-5298', severity: 'error', context: '/cda:ClinicalDocument/cda:recordTarget/cda:patientRole/cda:patient',
+        test: 'count(cda:birthTime) = 1',
+        message: 'patient SHALL contain exactly one birthTime'
+    },
+    {
+        id: 'CONF:1198-5444', severity: 'error', context: '/cda:ClinicalDocument',
+        test: 'cda:author',
+        message: 'SHALL contain at least one author'
+    },
+    {
+        id: 'CONF:1198-5445', severity: 'error', context: '/cda:ClinicalDocument/cda:author',
+        test: 'count(cda:time) = 1 and count(cda:assignedAuthor) = 1',
+        message: 'author SHALL contain exactly one time and one assignedAuthor'
+    },
+    {
+        id: 'CONF:1198-5519', severity: 'error', context: '/cda:ClinicalDocument',
+        test: 'count(cda:custodian/cda:assignedCustodian/cda:representedCustodianOrganization) = 1',
+        message: 'SHALL contain exactly one custodian with a representedCustodianOrganization'
+    },
+    {
+        id: 'eicr-encompassing-encounter', severity: 'error', context: '/cda:ClinicalDocument',
+        test: 'count(cda:componentOf/cda:encompassingEncounter) = 1 and cda:componentOf/cda:encompassingEncounter/cda:id and cda:componentOf/cda:encompassingEncounter/cda:effectiveTime',
+        message: 'SHALL contain exactly one componentOf/encompassingEncounter with an id and effectiveTime'
+    },
+    {
+        id: 'eicr-structured-body', severity: 'error', context: '/cda:ClinicalDocument',
+        test: 'count(cda:component/cda:structuredBody) = 1',
+        message: 'SHALL contain exactly one structuredBody'
+    },
+
+    // Sections
+    ...EICR_REQUIRED_SECTIONS.map(section => ({
+        id: 'eicr-section-' + section.root, severity: 'error', context: '/cda:ClinicalDocument/cda:component/cda:structuredBody',
+        test: `cda:component/cda:section[${hasTemplateXPath(section.root, section.extension)}]`,
+        message: `SHALL contain a ${section.name} (${section.root})`
+    })),
+    ...EICR_REQUIRED_SECTIONS.map(section => ({
+        id: 'eicr-section-single-' + section.root, severity: 'warning', context: '/cda:ClinicalDocument/cda:component/cda:structuredBody',
+        test: `count(cda:component/cda:section[${hasTemplateXPath(section.root, section.extension)}]) <= 1`,
+        message: `SHOULD contain no more than one ${section.name} (${section.root})`
+    })),
+    {
+        id: 'eicr-section-content', severity: 'error', context: '//cda:section[not(@nullFlavor)]',
+        test: 'count(cda:code) = 1 and count(cda:title) = 1 and count(cda:text) = 1',
+        message: 'A section SHALL contain exactly one code, title and text'
+    },
+    {
+        id: 'eicr-section-nullflavor', severity: 'error', context: '//cda:section[@nullFlavor]',
+        test: 'not(cda:entry)',
+        message: 'A section with a nullFlavor SHALL NOT contain entries'
+    },
+
+    // Entries
+    {
+        id: 'eicr-template-root', severity: 'error', context: '//cda:templateId',
+        test: "normalize-space(@root) != ''",
+        message: 'templateId SHALL have a root'
+    },
+    {
+        id: 'eicr-id-root', severity: 'error', context: '//cda:id',
+        test: "normalize-space(@root) != '' or @nullFlavor",
+        message: 'id SHALL have a root or a nullFlavor'
+    },
+    {
+        id: 'eicr-observation-code', severity: 'error', context: '//cda:observation',
+        test: '@classCode and @moodCode and count(cda:code) = 1',
+        message: 'observation SHALL have classCode and moodCode and contain exactly one code'
+    },
+    {
+        id: 'eicr-value-type', severity: 'error', context: '//cda:observation/cda:value',
+        test: '@xsi:type',
+        message: 'observation value SHALL have an xsi:type'
+    },
+
+    // Trigger codes
+    {
+        id: 'eicr-trigger-valueset', severity: 'error', context: `//*[${triggerTemplateXPath}]`,
+        test: '(cda:code | cda:value | cda:code/cda:translation | cda:value/cda:translation | cda:manufacturedMaterial/cda:code | cda:manufacturedMaterial/cda:code/cda:translation)[@sdtc:valueSet]',
+        message: 'A trigger code template SHALL carry sdtc:valueSet on its trigger code'
+    },
+    {
+        id: 'eicr-trigger-valueset-version', severity: 'error', context: '//*[@sdtc:valueSet]',
+        test: "normalize-space(@sdtc:valueSet) != '' and normalize-space(@sdtc:valueSetVersion) != ''",
+        message: 'sdtc:valueSet SHALL be a value set OID accompanied by sdtc:valueSetVersion'
+    },
+
+    // nullFlavor
+    {
+        id: 'eicr-nullflavor-vocabulary', severity: 'error', context: '//*[@nullFlavor]',
+        test: HL7_NULL_FLAVORS.map(nf => `@nullFlavor='${nf}'`).join(' or '),
+        message: `nullFlavor SHALL be one of ${HL7_NULL_FLAVORS.join(', ')}`
+    },
+    {
+        id: 'eicr-nullflavor-exclusive', severity: 'error', context: '//*[@nullFlavor]',
+        test: 'not(@code) and not(@value)',
+        message: 'An element with a nullFlavor SHALL NOT also have a code or value'
+    },
+    {
+        id: 'eicr-coded-value', severity: 'warning', context: "//cda:value[@xsi:type='CD' or @xsi:type='CE'][not(@nullFlavor)]",
+        test: '@code and @codeSystem',
+        message: 'A coded value without a nullFlavor SHOULD have a code and codeSystem'
+    }
+];
+
+function eicrNamespaceResolver(prefix) {
+    return EICR_XPATH_NAMESPACES[prefix] || null;
+}
+
+/**
+ * XPath of a node, with positions where siblings share a name
+ * @param {Node} node - Element or attribute
+ * @returns {string} e.g. /ClinicalDocument/component/structuredBody/component[3]/section
+ */
+function getNodeXPath(node) {
+    const steps = [];
+    for (let el = node; el && el.nodeType === 1; el = el.parentNode) {
+        const prefix = el.namespaceURI === EICR_XPATH_NAMESPACES.sdtc ? 'sdtc:' : '';
+        const siblings = Array.from(el.parentNode ? el.parentNode.childNodes : [])
+            .filter(n => n.nodeType === 1 && n.localName === el.localName && n.namespaceURI === el.namespaceURI);
+        const position = siblings.length > 1 ? `[${siblings.indexOf(el) + 1}]` : '';
+        steps.unshift(prefix + el.localName + position);
+    }
+    return '/' + steps.join('/');
+}
+
+/**
+ * Validate a generated eICR against EICR_SCHEMATRON_RULES
+ * @param {string} xmlString - eICR XML
+ * @param {Array<Object>} [rules] - Rules to run
+ * @returns {{passed: boolean, errors: Array<Object>, warnings: Array<Object>}} Failures as
+ *   {ruleId, severity, message, xpath, test}; passed is false when there are errors
+ */
+function validateEICRXml(xmlString, rules = EICR_SCHEMATRON_RULES) {
+    const doc = new DOMParser().parseFromString(xmlString, 'application/xml');
+    const root = doc.documentElement;
+    let failures = [];
+
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        failures.push({ ruleId: 'eicr-well-formed', severity: 'error', message: 'Document is not well-formed XML', xpath: '/', test: '' });
+    } else if (!root || root.localName !== 'ClinicalDocument' || root.namespaceURI !== EICR_XPATH_NAMESPACES.cda) {
+        failures.push({ ruleId: 'eicr-root', severity: 'error', message: 'Root element SHALL be cda:ClinicalDocument', xpath: getNodeXPath(root), test: '' });
+    } else {
+        failures = rules.flatMap(rule => {
+            const contexts = doc.evaluate(rule.context, doc, eicrNamespaceResolver, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+            const failed = [];
+            for (let i = 0; i < contexts.snapshotLength; i++) {
+                const node = contexts.snapshotItem(i);
+                const ok = doc.evaluate(rule.test, node, eicrNamespaceResolver, XPathResult.BOOLEAN_TYPE, null).booleanValue;
+                if (!ok) {
+                    failed.push({ ruleId: rule.id, severity: rule.severity, message: rule.message, xpath: getNodeXPath(node), test: rule.test });
+                }
+            }
+            return failed;
+        });
+    }
+
+    const errors = failures.filter(f => f.severity === 'error');
+    return {
+        passed: errors.length === 0,
+        errors: errors,
+        warnings: failures.filter(f => f.severity !== 'error')
+    };
+}
+
+/**
+ * Show the XML validation result under the form
+ * @param {Object} result - validateEICRXml() result
+ */
+function displayEICRXmlValidation(result) {
+    let container = document.getElementById('eicr-xml-validation');
+    const failures = [...result.errors, ...result.warnings];
+    if (failures.length === 0) {
+        if (container) container.remove();
+        return;
+    }
+
+    if (!container) {
+        container = document.createElement('div');
+        container.id = 'eicr-xml-validation';
+        document.querySelector('.container').insertBefore(container, document.querySelector('.footer-buttons'));
+    }
+    const color = result.errors.length > 0 ? '#f00' : '#d97706';
+    container.style.cssText = `background: #fff7ed; border: 2px solid ${color}; padding: 20px; margin: 20px 0; border-radius: 5px;`;
+    container.innerHTML = `<h3>Generated eICR XML: ${result.errors.length} error(s), ${result.warnings.length} warning(s)</h3>
+        <p>These point at the generated document, not at the form input. The file was still produced.</p>`;
+
+    const list = document.createElement('ul');
+    failures.forEach(f => {
+        const item = document.createElement('li');
+        item.style.color = f.severity === 'error' ? 'red' : '#b45309';
+        item.style.marginBottom = '5px';
+        item.textContent = `[${f.ruleId}] ${f.message}`;
+        const path = document.createElement('code');
+        path.style.cssText = 'display: block; font-size: 12px; color: #475569; word-break: break-all;';
+        path.textContent = f.xpath;
+        item.appendChild(path);
+        list.appendChild(item);
+    });
+    container.appendChild(list);
+}
+
+/**
+ * Validate a generated eICR, log the failures and show them
+ * @param {string} xmlString - eICR XML
+ * @returns {Object} validateEICRXml() result
+ */
+function checkGeneratedEICRXml(xmlString) {
+    const result = validateEICRXml(xmlString);
+    result.errors.forEach(f => console.error(`eICR XML [${f.ruleId}] ${f.message} at ${f.xpath}`));
+    result.warnings.forEach(f => console.warn(`eICR XML [${f.ruleId}] ${f.message} at ${f.xpath}`));
+    displayEICRXmlValidation(result);
+    return result;
+}
+
+// Expose functions globally for cross-module access
+window.EICR_SCHEMATRON_RULES = EICR_SCHEMATRON_RULES;
+window.validateEICRXml = validateEICRXml;
+window.checkGeneratedEICRXml = checkGeneratedEICRXml;
@@ -14,6 +14,8 @@
  * - validation.js (validateFormData)
  * - xml-builders.js (generateCDA/buildEICRXml, generateDynamicFilename)
  * - form-handlers.js (getFormData)
+ * - eicr-history.js (recordGeneratedEICR)
+ * - eicr-schematron.js (checkGeneratedEICRXml)
  *
  * @medical-software CRITICAL - Proper file saving ensures document delivery
  */
@@ -21,10 +23,11 @@
 /**
  * Generate CDA
  * Wrapper function for building eICR XML
+ * @param {Object} [data] - Form data (defaults to the current form)
  * @returns {string} Complete eICR XML document
  */
-function generateCDA() {
-    return buildEICRXml();
+function generateCDA(data = getFormData()) {
+    return buildEICRXml(data);
 }
 
 /**
@@ -53,13 +56,14 @@ async function generateAndDownloadCDA() {
 
     try {
         console.log('Starting CDA generation...');
-        const cdaContent = generateCDA();
         const data = getFormData();
+        const cdaContent = generateCDA(data);
 
         // Additional CDA-specific validation
         if (!cdaContent.includes('<ClinicalDocument')) {
             throw new Error('Invalid CDA document structure generated');
         }
+        checkGeneratedEICRXml(cdaContent);
 
         const blob = new Blob([cdaContent], { type: 'application/xml' });
         const filename = generateDynamicFilename('eICR', 'xml');
@@ -79,6 +83,8 @@ async function generateAndDownloadCDA() {
                 const writable = await fileHandle.createWritable();
                 await writable.write(blob);
                 await writable.close();
+                // Only eICRs that were actually saved go into the history
+                recordGeneratedEICR(cdaContent, data);
                 console.log('CDA file saved with user-selected location');
                 return;
             } catch (err) {
@@ -100,6 +106,7 @@ async function generateAndDownloadCDA() {
         a.click();
         document.body.removeChild(a);
         URL.revokeObjectURL(url);
+        recordGeneratedEICR(cdaContent, data);
 
 
     } catch (error) {
@@ -21,7 +21,7 @@ function getFormData() {
 
         // Provider Information
         'providerId', 'providerName', 'providerPhone', 'providerEmail', 'providerFax',
-        'facilityId', 'facilityName', 'facilityAddress', 'facilityTypeCode',
+        'facilityId', 'facilityName', 'facilityAddress', 'facilityState', 'facilityTypeCode',
         'organizationName', 'organizationId', 'organizationPhone', 'organizationEmail',
         'organizationFax', 'organizationAddress',
 
@@ -119,7 +119,8 @@ function getFormData() {
         'vaccineCredentialAssertion', 'vaccineCardAvailable', 'quarantineStatus', 'isolationStatus',
 
         // Document Information
-        'documentId', 'effectiveTime', 'documentRelationshipType', 'relatedDocumentId', 'setId', 'versionNumber'
+        'documentId', 'effectiveTime', 'documentRelationshipType', 'relatedDocumentId', 'relatedDocumentParentId', 'setId', 'versionNumber',
+        'validationProfile'
     ];
 
     const data = {};
@@ -372,12 +373,17 @@ function handleRelationshipTypeChange() {
 
     const relationshipType = relationshipTypeEl.value;
     const relatedDocIdGroup = document.getElementById('relatedDocIdGroup');
+    const relatedParentDocIdGroup = document.getElementById('relatedParentDocIdGroup');
     const setIdGroup = document.getElementById('setIdGroup');
     const versionGroup = document.getElementById('versionGroup');
 
     // Check if all elements exist before manipulating
     if (!relatedDocIdGroup || !setIdGroup || !versionGroup) return;
 
+    if (relatedParentDocIdGroup) {
+        relatedParentDocIdGroup.style.display = relationshipType === 'RPLC' ? 'block' : 'none';
+    }
+
     if (relationshipType === 'RPLC' || relationshipType === 'APND') {
         relatedDocIdGroup.style.display = 'block';
         setIdGroup.style.display = 'block';
@@ -514,10 +520,12 @@ function populateConditionDropdowns(conditions) {
                 option.value = condition.code;
                 option.textContent = `${condition.code} - ${condition.description} (${condition.condition})`;
 
-                // Mark RCTC trigger codes
-                if (isRCTCTriggerCode(condition.code)) {
+                // Mark RCTC trigger codes with the trigger value set(s) they come from
+                const triggerValueSets = getRCTCTriggerValueSets(condition.code, condition.codeType);
+                if (triggerValueSets.length > 0) {
                     option.textContent += ' [RCTC]';
                     option.style.fontWeight = 'bold';
+                    option.title = describeRCTCTriggerValueSets(triggerValueSets);
                 }
 
                 select.appendChild(option);
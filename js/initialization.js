@@ -166,15 +166,19 @@ document.addEventListener('DOMContentLoaded', function() {
     console.log('eICR Generator loaded');
     console.log('RCTC Metadata:', rctcData.metadata);
 
-    // Load conditions from Excel file
-    loadConditionsFromExcel().then(() => {
-        console.log('Conditions loaded successfully');
-    });
+    // Load the RCTC trigger codes first so the condition dropdowns can mark them
+    loadRCTCTriggerIndex()
+        .then(() => loadConditionsFromExcel())
+        .then(() => {
+            console.log('Conditions loaded successfully');
+        });
 
     setupConditionalDisplays();
 
     // Initialize document relationship fields
     handleRelationshipTypeChange();
+    renderEICRHistory();
+    populateValidationProfiles();
 
     // NEW: Initialize lab evidence
     if (!document.querySelector('.lab-evidence-row')) {
@@ -300,7 +304,9 @@ document.addEventListener('DOMContentLoaded', function() {
         birthDateInput.value = '2024-06-15T00:00';
     }
 
-    // Generate random Document ID
+    // Generate random Document ID; a new document starts its own set at version 1
     document.getElementById('documentId').value = generateUUID();
+    document.getElementById('setId').value = generateUUID();
+    document.getElementById('versionNumber').value = '1';
 
 });
@@ -113,9 +113,9 @@ function collectLabEvidence() {
             status: r.querySelector('.le-status')?.value || '',
             interpretation: r.querySelector('.le-interpretation')?.value || '',
             referenceRange: r.querySelector('.le-reference-range')?.value.trim() || '',
-            isRCTC: isRCTCTriggerCode(r.querySelector('.le-test-code')?.value) ||
-                    isRCTCTriggerCode(r.querySelector('.le-value-code')?.value) ||
-                    isRCTCTriggerCode(r.querySelector('.le-order-code')?.value)
+            isRCTC: isRCTCTriggerCode(r.querySelector('.le-test-code')?.value, 'LOINC') ||
+                    isRCTCTriggerCode(r.querySelector('.le-value-code')?.value, 'SNOMEDCT') ||
+                    isRCTCTriggerCode(r.querySelector('.le-order-code')?.value, 'LOINC')
         };
     }).filter(x => x.testCode || x.testName || x.orderCode || x.orderName);
 }
@@ -428,6 +428,11 @@ function addImmunization(prefill = {}) {
     if (prefill.performerPhone) row.querySelector('.imm-performer-phone').value = prefill.performerPhone;
 
     document.getElementById('immunizationList').appendChild(clone);
+
+    // Trigger reportability evaluation if available
+    if (typeof window.triggerReportabilityEvaluation === 'function') {
+        window.triggerReportabilityEvaluation();
+    }
 }
 
 /**
@@ -437,6 +442,11 @@ function addImmunization(prefill = {}) {
  */
 function removeImmunization(btn) {
     btn.closest('.immunization-row')?.remove();
+
+    // Trigger reportability evaluation if available
+    if (typeof window.triggerReportabilityEvaluation === 'function') {
+        window.triggerReportabilityEvaluation();
+    }
 }
 
 /**
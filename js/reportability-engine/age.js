@@ -0,0 +1,53 @@
+/**
+ * Patient age for age criteria, in completed days/weeks/months/years at a reference
+ * date (the encounter date) - neonatal rules are written in days, others in years.
+ */
+
+export const AGE_UNITS = ['days', 'weeks', 'months', 'years'];
+
+/**
+ * Calendar date (UTC midnight) of a date / datetime-local string, ignoring the time
+ */
+function toCalendarDate(value) {
+    const match = String(value ?? '').match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (!match) return null;
+    return { year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) };
+}
+
+/**
+ * @param {string} birthDate Date of birth (YYYY-MM-DD)
+ * @param {string} referenceDate Date the age is computed at (YYYY-MM-DD or datetime-local)
+ * @returns {{days: number, weeks: number, months: number, years: number}|null}
+ *   null when either date is missing or the reference is before birth
+ */
+export function computeAge(birthDate, referenceDate) {
+    const birth = toCalendarDate(birthDate);
+    const reference = toCalendarDate(referenceDate);
+    if (!birth || !reference) return null;
+
+    const days = Math.floor(
+        (Date.UTC(reference.year, reference.month - 1, reference.day) -
+         Date.UTC(birth.year, birth.month - 1, birth.day)) / 86400000
+    );
+    if (days < 0) return null;
+
+    // A month is completed once the day of month reaches the birth day again
+    const months = (reference.year - birth.year) * 12 + (reference.month - birth.month) -
+        (reference.day < birth.day ? 1 : 0);
+
+    return {
+        days: days,
+        weeks: Math.floor(days / 7),
+        months: months,
+        years: Math.floor(months / 12)
+    };
+}
+
+/**
+ * Age unit named in free text ("8 days", "Patient age <= 12 months")
+ * @returns {string|null} One of AGE_UNITS
+ */
+export function parseAgeUnit(text) {
+    const match = String(text ?? '').toLowerCase().match(/\b(day|week|month|year)s?\b/);
+    return match ? `${match[1]}s` : null;
+}
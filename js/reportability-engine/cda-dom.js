@@ -0,0 +1,60 @@
+/**
+ * Namespace-aware DOM helpers shared by the CDA importers (eICR, RR).
+ * They work on any XML DOM (browser DOMParser or a compatible implementation).
+ */
+
+export const HL7_NS = 'urn:hl7-org:v3';
+export const SDTC_NS = 'urn:hl7-org:sdtc';
+export const XSI_NS = 'http://www.w3.org/2001/XMLSchema-instance';
+
+export function childElements(el, localName) {
+    if (!el) return [];
+    return Array.from(el.childNodes).filter(n =>
+        n.nodeType === 1 && n.namespaceURI === HL7_NS && (!localName || n.localName === localName)
+    );
+}
+
+export function child(el, path) {
+    return path.split('/').reduce((node, name) => childElements(node, name)[0] || null, el);
+}
+
+export function attr(el, name) {
+    return el ? (el.getAttribute(name) || '') : '';
+}
+
+export function textOf(el) {
+    return el?.textContent?.trim() || '';
+}
+
+export function templateRoots(el) {
+    return childElements(el, 'templateId').map(t => attr(t, 'root'));
+}
+
+export function hasTemplate(el, roots) {
+    const wanted = Array.isArray(roots) ? roots : [roots];
+    return templateRoots(el).some(root => wanted.includes(root));
+}
+
+export function closestWithTemplate(el, roots) {
+    for (let node = el.parentNode; node && node.nodeType === 1; node = node.parentNode) {
+        if (hasTemplate(node, roots)) return node;
+    }
+    return null;
+}
+
+/**
+ * Parse a CDA document
+ * @param {string} xmlString CDA XML
+ * @returns {{root: Element, elements: Element[]}} ClinicalDocument element and every HL7 element in document order
+ */
+export function parseClinicalDocument(xmlString) {
+    const doc = new DOMParser().parseFromString(xmlString, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('File is not well-formed XML');
+    }
+    const root = doc.documentElement;
+    if (root.localName !== 'ClinicalDocument' || root.namespaceURI !== HL7_NS) {
+        throw new Error('File is not a CDA ClinicalDocument');
+    }
+    return { root, elements: Array.from(doc.getElementsByTagNameNS(HL7_NS, '*')) };
+}
@@ -0,0 +1,273 @@
+/**
+ * eICR (CDA R2) importer.
+ *
+ * Reads an eICR produced by any EHR into the canonical form object (the shape
+ * getFormData() returns), so it is evaluated through the same toEngineData()
+ * adapter as the live form. Entries are located by template id rather than by
+ * section, since other senders organise sections differently:
+ *   - Problem Observations inside an Encounter Diagnosis, or carrying the trigger
+ *     code problem template, become diagnoses; other Problem Observations problems
+ *   - Result Observations become lab results (their organizer code is the order)
+ *   - Lab test orders (Planned Observations) become labs without a result
+ *   - Medication Activities / Immunization Activities in EVN mood (administered)
+ *   - Pregnancy observations
+ * Every entry with an eICR trigger code template (TRIGGER_TEMPLATE_NAMES)
+ * is also listed in document.triggers.
+ */
+
+import {
+    SDTC_NS, XSI_NS, attr, child, childElements, closestWithTemplate, hasTemplate, parseClinicalDocument, templateRoots
+} from './cda-dom.js';
+
+const TEMPLATES = {
+    problemObservation: ['2.16.840.1.113883.10.20.22.4.4', '2.16.840.1.113883.10.20.15.2.3.3'],
+    triggerProblemObservation: '2.16.840.1.113883.10.20.15.2.3.3',
+    encounterDiagnosis: '2.16.840.1.113883.10.20.22.4.80',
+    problemConcern: '2.16.840.1.113883.10.20.22.4.3',
+    resultObservation: ['2.16.840.1.113883.10.20.22.4.2', '2.16.840.1.113883.10.20.15.2.3.2'],
+    resultOrganizer: ['2.16.840.1.113883.10.20.22.4.1', '2.16.840.1.113883.10.20.15.2.3.35'],
+    labTestOrder: ['2.16.840.1.113883.10.20.22.4.44', '2.16.840.1.113883.10.20.15.2.3.4'],
+    medicationActivity: ['2.16.840.1.113883.10.20.22.4.16'],
+    immunizationActivity: ['2.16.840.1.113883.10.20.22.4.52'],
+    pregnancy: ['2.16.840.1.113883.10.20.15.3.8', '2.16.840.1.113883.10.20.22.4.293']
+};
+
+// The eICR trigger code templates and their display names. Other 2.16.840.1.113883.10.20.15.2.3.*
+// templates (Travel History, Emergency Outbreak Information, ...) are not trigger codes.
+const TRIGGER_TEMPLATE_NAMES = {
+    '2.16.840.1.113883.10.20.15.2.3.2': 'Trigger Code Result Observation',
+    '2.16.840.1.113883.10.20.15.2.3.3': 'Trigger Code Problem Observation',
+    '2.16.840.1.113883.10.20.15.2.3.4': 'Trigger Code Lab Test Order',
+    '2.16.840.1.113883.10.20.15.2.3.35': 'Trigger Code Result Organizer',
+    '2.16.840.1.113883.10.20.15.2.3.36': 'Trigger Code Medication Information',
+    '2.16.840.1.113883.10.20.15.2.3.38': 'Trigger Code Immunization Medication Information'
+};
+
+// --- Entry helpers ---
+
+function timeOf(el) {
+    const effectiveTime = child(el, 'effectiveTime');
+    return attr(effectiveTime, 'value') || attr(child(effectiveTime, 'low'), 'value');
+}
+
+function isNegated(el) {
+    return attr(el, 'negationInd') === 'true';
+}
+
+function xsiType(el) {
+    return (el?.getAttributeNS(XSI_NS, 'type') || '').split(':').pop();
+}
+
+function displayOf(codeEl) {
+    return attr(codeEl, 'displayName') || child(codeEl, 'originalText')?.textContent?.trim() || '';
+}
+
+function nameText(nameEl) {
+    if (!nameEl) return '';
+    const given = childElements(nameEl, 'given').map(g => g.textContent.trim());
+    const family = childElements(nameEl, 'family').map(f => f.textContent.trim());
+    return [...given, ...family].filter(Boolean).join(' ');
+}
+
+/**
+ * Parse an eICR document
+ * @param {string} xmlString eICR XML
+ * @returns {{form: Object, document: Object}} Canonical form object and document metadata
+ *   (ids, title, patient name, trigger entries)
+ */
+export function parseEicrXml(xmlString) {
+    const { root, elements } = parseClinicalDocument(xmlString);
+    const withTemplate = roots => elements.filter(el => hasTemplate(el, roots));
+
+    return {
+        form: {
+            ...readHeader(root),
+            diagnosisEvidence: [],
+            problemEvidence: [],
+            ...readProblemObservations(withTemplate(TEMPLATES.problemObservation)),
+            labEvidence: [
+                ...withTemplate(TEMPLATES.resultObservation).map(readResultObservation),
+                ...withTemplate(TEMPLATES.labTestOrder).filter(el => attr(el, 'moodCode') !== 'EVN').map(readLabOrder)
+            ],
+            administeredMedications: withTemplate(TEMPLATES.medicationActivity)
+                .filter(el => attr(el, 'moodCode') === 'EVN')
+                .map(readMedicationActivity),
+            immunizations: withTemplate(TEMPLATES.immunizationActivity)
+                .filter(el => attr(el, 'moodCode') === 'EVN')
+                .map(readImmunizationActivity),
+            pregnancyStatus: readPregnancyStatus(withTemplate(TEMPLATES.pregnancy))
+        },
+        document: readDocumentInfo(root, elements)
+    };
+}
+
+function readHeader(root) {
+    const patientRole = child(root, 'recordTarget/patientRole');
+    const patient = child(patientRole, 'patient');
+    const patientAddr = child(patientRole, 'addr');
+    const encounter = child(root, 'componentOf/encompassingEncounter');
+    const facilityAddr = child(encounter, 'location/healthCareFacility/location/addr') ||
+        child(encounter, 'location/healthCareFacility/serviceProviderOrganization/addr');
+
+    return {
+        patientId: attr(child(patientRole, 'id'), 'extension'),
+        patientGender: attr(child(patient, 'administrativeGenderCode'), 'code'),
+        patientBirthDate: attr(child(patient, 'birthTime'), 'value'),
+        patientState: child(patientAddr, 'state')?.textContent?.trim() || '',
+        patientZip: child(patientAddr, 'postalCode')?.textContent?.trim() || '',
+        encounterDate: timeOf(encounter),
+        facilityState: child(facilityAddr, 'state')?.textContent?.trim() || ''
+    };
+}
+
+function readProblemObservations(observations) {
+    const diagnosisEvidence = [];
+    const problemEvidence = [];
+
+    observations.filter(obs => !isNegated(obs)).forEach(obs => {
+        const value = child(obs, 'value');
+        const code = attr(value, 'code');
+        if (!code) return;
+
+        const date = timeOf(obs);
+        const isDiagnosis = hasTemplate(obs, TEMPLATES.triggerProblemObservation) ||
+            closestWithTemplate(obs, TEMPLATES.encounterDiagnosis) !== null;
+
+        if (isDiagnosis) {
+            diagnosisEvidence.push({
+                diagnosisCode: code,
+                diagnosisName: displayOf(value),
+                diagnosisDate: date,
+                onsetDate: date,
+                status: attr(child(obs, 'statusCode'), 'code') || 'completed'
+            });
+        } else {
+            const concern = closestWithTemplate(obs, TEMPLATES.problemConcern);
+            problemEvidence.push({
+                problemCode: code,
+                problemName: displayOf(value),
+                onsetDate: date,
+                status: attr(child(obs, 'statusCode'), 'code') || 'active',
+                concernStatus: attr(child(concern, 'statusCode'), 'code') || 'active'
+            });
+        }
+    });
+
+    return { diagnosisEvidence, problemEvidence };
+}
+
+function readResultObservation(obs) {
+    const code = child(obs, 'code');
+    const value = child(obs, 'value');
+    const organizer = closestWithTemplate(obs, TEMPLATES.resultOrganizer);
+    const organizerCode = child(organizer, 'code');
+    const type = xsiType(value);
+
+    let valueKind = 'text';
+    if (['CD', 'CE', 'CO', 'CV'].includes(type)) valueKind = 'coded';
+    else if (type === 'PQ') valueKind = 'quantity';
+
+    return {
+        orderCode: attr(organizerCode, 'code'),
+        orderName: displayOf(organizerCode),
+        orderTime: organizer ? timeOf(organizer) : '',
+        testCode: attr(code, 'code'),
+        testName: displayOf(code),
+        valueKind: valueKind,
+        valueCode: valueKind === 'coded' ? attr(value, 'code') : '',
+        valueName: valueKind === 'coded' ? displayOf(value) : '',
+        qtyValue: valueKind === 'quantity' ? attr(value, 'value') : '',
+        qtyUnit: valueKind === 'quantity' ? attr(value, 'unit') : '',
+        textValue: valueKind === 'text' ? (value?.textContent?.trim() || '') : '',
+        time: timeOf(obs),
+        status: attr(child(obs, 'statusCode'), 'code'),
+        interpretation: attr(child(obs, 'interpretationCode'), 'code')
+    };
+}
+
+function readLabOrder(order) {
+    const code = child(order, 'code');
+    return {
+        orderCode: attr(code, 'code'),
+        orderName: displayOf(code),
+        orderTime: timeOf(order),
+        testCode: attr(code, 'code'),
+        testName: displayOf(code),
+        valueKind: 'text',
+        textValue: '',
+        time: '',
+        status: attr(child(order, 'statusCode'), 'code')
+    };
+}
+
+function readMedicationActivity(activity) {
+    const material = child(activity, 'consumable/manufacturedProduct/manufacturedMaterial/code');
+    return {
+        medicationCode: attr(material, 'code'),
+        medicationName: displayOf(material),
+        administrationTime: timeOf(activity),
+        status: attr(child(activity, 'statusCode'), 'code') || 'completed',
+        negated: isNegated(activity)
+    };
+}
+
+function readImmunizationActivity(activity) {
+    const material = child(activity, 'consumable/manufacturedProduct/manufacturedMaterial/code');
+    return {
+        vaccineCode: attr(material, 'code'),
+        vaccineName: displayOf(material),
+        immunizationDate: timeOf(activity),
+        status: attr(child(activity, 'statusCode'), 'code') || 'completed',
+        negated: isNegated(activity)
+    };
+}
+
+function readPregnancyStatus(observations) {
+    const observation = observations.find(obs => !isNegated(obs) && attr(child(obs, 'value'), 'code'));
+    return observation ? attr(child(observation, 'value'), 'code') : '';
+}
+
+/**
+ * Trigger code of an entry: the coded element carrying sdtc:valueSet, else the
+ * observation value / material code / entry code
+ */
+function readTrigger(el, templateId) {
+    const candidates = [
+        child(el, 'value'),
+        child(el, 'manufacturedMaterial/code'),
+        child(el, 'consumable/manufacturedProduct/manufacturedMaterial/code'),
+        child(el, 'code')
+    ].filter(Boolean);
+    const coded = candidates.find(c => c.getAttributeNS(SDTC_NS, 'valueSet')) ||
+        candidates.find(c => attr(c, 'code'));
+
+    return {
+        templateId: templateId,
+        templateName: TRIGGER_TEMPLATE_NAMES[templateId],
+        code: attr(coded, 'code'),
+        codeSystem: attr(coded, 'codeSystem'),
+        displayName: displayOf(coded),
+        valueSet: coded ? coded.getAttributeNS(SDTC_NS, 'valueSet') || '' : '',
+        valueSetVersion: coded ? coded.getAttributeNS(SDTC_NS, 'valueSetVersion') || '' : ''
+    };
+}
+
+function readDocumentInfo(root, elements) {
+    const id = child(root, 'id');
+    const setId = child(root, 'setId');
+    const triggers = [];
+    elements.forEach(el => {
+        const triggerTemplate = templateRoots(el).find(r => TRIGGER_TEMPLATE_NAMES[r]);
+        if (triggerTemplate) triggers.push(readTrigger(el, triggerTemplate));
+    });
+
+    return {
+        id: { root: attr(id, 'root'), extension: attr(id, 'extension') },
+        setId: { root: attr(setId, 'root'), extension: attr(setId, 'extension') },
+        versionNumber: attr(child(root, 'versionNumber'), 'value'),
+        title: child(root, 'title')?.textContent?.trim() || '',
+        effectiveTime: attr(child(root, 'effectiveTime'), 'value'),
+        patientName: nameText(child(root, 'recordTarget/patientRole/patient/name')),
+        triggers: triggers
+    };
+}
@@ -0,0 +1,187 @@
+/**
+ * Evaluation clients used by the ReportabilityEngineApp.
+ *
+ * WorkerEvaluationClient runs the engine in evaluation-worker.js. LocalEvaluationClient
+ * is the fallback when module workers aren't available (e.g. the file:// bundle) and
+ * loads the same modules on the main thread.
+ *
+ * Both expose: init(), loadRules(rulePack) -> Promise<conditionCount> and
+ * evaluate(formData, { supersede }) -> Promise<result | null>. Live form evaluations
+ * (supersede: true, the default) replace each other and resolve null when a newer
+ * one took over; one-off evaluations (supersede: false, e.g. an imported eICR or
+ * the RR) always get their result and never cancel the live one.
+ */
+
+export class WorkerEvaluationClient {
+    constructor() {
+        this.worker = null;
+        this.nextRequestId = 1;
+        this.pending = null; // { requestId, resolve, reject }
+        this.rulesRequests = new Map(); // requestId -> { resolve, reject }
+        this.oneOffRequests = new Map(); // requestId -> { resolve, reject }
+    }
+
+    init() {
+        return new Promise((resolve, reject) => {
+            try {
+                this.worker = new Worker(new URL('./evaluation-worker.js', import.meta.url), { type: 'module' });
+            } catch (e) {
+                reject(e);
+                return;
+            }
+
+            let isReady = false;
+
+            this.worker.onmessage = (event) => {
+                const message = event.data || {};
+                if (message.type === 'ready') {
+                    isReady = true;
+                    console.log(`Reportability Engine: Worker ready (${message.conditionCount} conditions).`);
+                    resolve();
+                    return;
+                }
+                if (!isReady && message.type === 'error') {
+                    reject(new Error(message.message));
+                    return;
+                }
+                this.handleMessage(message);
+            };
+
+            this.worker.onerror = (event) => {
+                if (!isReady) {
+                    event.preventDefault?.();
+                    this.worker.terminate();
+                    reject(new Error(event.message || 'Evaluation worker failed to start'));
+                    return;
+                }
+                console.error("Evaluation worker error:", event);
+                const error = new Error(event.message || 'Evaluation worker error');
+                this.settlePending(null, error);
+                [this.rulesRequests, this.oneOffRequests].forEach(requests => {
+                    requests.forEach(request => request.reject(error));
+                    requests.clear();
+                });
+            };
+        });
+    }
+
+    evaluate(formData, { supersede = true } = {}) {
+        if (!supersede) {
+            const requestId = this.nextRequestId++;
+            return new Promise((resolve, reject) => {
+                this.oneOffRequests.set(requestId, { resolve, reject });
+                this.worker.postMessage({ type: 'evaluate', requestId, formData, supersede: false });
+            });
+        }
+
+        // Supersede the in-flight request: tell the worker to drop it if it hasn't
+        // run yet, and resolve its caller with null so the stale result is ignored
+        if (this.pending) {
+            this.worker.postMessage({ type: 'cancel', requestId: this.pending.requestId });
+            this.settlePending(null);
+        }
+
+        const requestId = this.nextRequestId++;
+        return new Promise((resolve, reject) => {
+            this.pending = { requestId, resolve, reject };
+            this.worker.postMessage({ type: 'evaluate', requestId, formData });
+        });
+    }
+
+    loadRules(rulePack) {
+        const requestId = this.nextRequestId++;
+        return new Promise((resolve, reject) => {
+            this.rulesRequests.set(requestId, { resolve, reject });
+            this.worker.postMessage({ type: 'loadRules', requestId, rulePack });
+        });
+    }
+
+    handleMessage(message) {
+        const rulesRequest = this.rulesRequests.get(message.requestId);
+        if (rulesRequest) {
+            this.rulesRequests.delete(message.requestId);
+            if (message.type === 'rulesLoaded') rulesRequest.resolve(message.conditionCount);
+            else rulesRequest.reject(new Error(message.message));
+            return;
+        }
+
+        const oneOffRequest = this.oneOffRequests.get(message.requestId);
+        if (oneOffRequest) {
+            this.oneOffRequests.delete(message.requestId);
+            if (message.type === 'result') oneOffRequest.resolve(message.result);
+            else oneOffRequest.reject(new Error(message.message));
+            return;
+        }
+
+        if (!this.pending || message.requestId !== this.pending.requestId) {
+            return; // Result for a cancelled/superseded request
+        }
+
+        if (message.type === 'result') {
+            this.settlePending(message.result);
+        } else if (message.type === 'error') {
+            this.settlePending(null, new Error(message.message));
+        }
+    }
+
+    settlePending(result, error = null) {
+        const pending = this.pending;
+        this.pending = null;
+        if (!pending) return;
+        if (error) pending.reject(error);
+        else pending.resolve(result);
+    }
+}
+
+export class LocalEvaluationClient {
+    constructor() {
+        this.evaluator = null;
+        this.modules = null;
+        this.enrichDataWithOids = null;
+    }
+
+    async init() {
+        // Imported lazily so the worker path never loads the rules/lookup tables here
+        const [{ RulesLoader }, { ReportabilityEvaluator }, { enrichDataWithOids }] = await Promise.all([
+            import('./rules-loader.js'),
+            import('./evaluator.js'),
+            import('./oid-enricher.js')
+        ]);
+
+        this.modules = { RulesLoader, ReportabilityEvaluator };
+        this.enrichDataWithOids = enrichDataWithOids;
+        await this.loadRules(null);
+    }
+
+    async loadRules(rulePack) {
+        const loader = new this.modules.RulesLoader();
+        const conditions = await loader.loadAll(rulePack);
+        this.evaluator = new this.modules.ReportabilityEvaluator(conditions, loader.ruleIndex, loader.jurisdictions);
+        return conditions.size;
+    }
+
+    // Evaluations run synchronously here, so nothing is ever superseded
+    async evaluate(formData) {
+        this.enrichDataWithOids(formData);
+        return this.evaluator.evaluate(formData);
+    }
+}
+
+/**
+ * Prefer the worker; fall back to main-thread evaluation if it can't start
+ */
+export async function createEvaluationClient() {
+    if (typeof Worker !== 'undefined') {
+        const workerClient = new WorkerEvaluationClient();
+        try {
+            await workerClient.init();
+            return workerClient;
+        } catch (e) {
+            console.warn("Reportability Engine: Worker unavailable, evaluating on main thread.", e);
+        }
+    }
+
+    const localClient = new LocalEvaluationClient();
+    await localClient.init();
+    return localClient;
+}
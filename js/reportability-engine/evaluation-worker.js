@@ -0,0 +1,107 @@
+import { RulesLoader } from './rules-loader.js';
+import { ReportabilityEvaluator } from './evaluator.js';
+import { enrichDataWithOids } from './oid-enricher.js';
+
+/**
+ * Web Worker entry for the Reportability Engine.
+ * Keeps the rules data, code lookup and evaluation off the main thread.
+ *
+ * Protocol (see EvaluationClient):
+ *   in:  { type: 'evaluate', requestId, formData }  engine data (form-data-adapter.js)
+ *        { type: 'evaluate', requestId, formData, supersede: false }  one-off, always answered
+ *        { type: 'cancel', requestId }             drop a request that hasn't run yet
+ *        { type: 'loadRules', requestId, rulePack } reload rules (null = embedded only)
+ *   out: { type: 'ready', conditionCount }
+ *        { type: 'result', requestId, result }
+ *        { type: 'rulesLoaded', requestId, conditionCount }
+ *        { type: 'error', requestId, message }
+ */
+
+let evaluator = null;
+
+// Only the most recent live evaluate request is kept; older ones are superseded.
+// One-off requests (supersede: false) queue up and are all answered.
+let pendingRequest = null;
+const oneOffRequests = [];
+let runScheduled = false;
+
+/**
+ * Replace the evaluator only once the new rules loaded - a bad pack keeps the old rules
+ */
+async function loadRules(rulePack) {
+    const loader = new RulesLoader();
+    const conditions = await loader.loadAll(rulePack);
+    evaluator = new ReportabilityEvaluator(conditions, loader.ruleIndex, loader.jurisdictions);
+    return conditions.size;
+}
+
+let ready = loadRules(null)
+    .then(conditionCount => {
+        self.postMessage({ type: 'ready', conditionCount });
+    })
+    .catch(e => {
+        self.postMessage({ type: 'error', requestId: null, message: `Failed to load rules: ${e.message}` });
+        throw e;
+    });
+
+self.onmessage = (event) => {
+    const message = event.data || {};
+
+    switch (message.type) {
+        case 'evaluate':
+            if (message.supersede === false) oneOffRequests.push(message);
+            else pendingRequest = message;
+            scheduleRun();
+            break;
+        case 'loadRules': {
+            const { requestId, rulePack } = message;
+            // Chain on the previous load so evaluations queued behind this one use the new rules
+            ready = ready
+                .catch(() => {})
+                .then(() => loadRules(rulePack))
+                .then(
+                    conditionCount => self.postMessage({ type: 'rulesLoaded', requestId, conditionCount }),
+                    e => self.postMessage({ type: 'error', requestId, message: e.message })
+                );
+            break;
+        }
+        case 'cancel':
+            if (pendingRequest && pendingRequest.requestId === message.requestId) {
+                pendingRequest = null;
+            }
+            break;
+        default:
+            console.warn(`[EvaluationWorker] Unknown message type: ${message.type}`);
+    }
+};
+
+/**
+ * Yield once before evaluating so that evaluate/cancel messages already queued
+ * behind this one can replace or cancel the pending request
+ */
+function scheduleRun() {
+    if (runScheduled) return;
+    runScheduled = true;
+    setTimeout(runPending, 0);
+}
+
+async function runPending() {
+    runScheduled = false;
+    await ready;
+
+    const requests = oneOffRequests.splice(0);
+    if (pendingRequest) requests.push(pendingRequest);
+    pendingRequest = null;
+    requests.forEach(runRequest);
+}
+
+function runRequest(request) {
+    try {
+        const data = request.formData;
+        enrichDataWithOids(data);
+        const result = evaluator.evaluate(data);
+        self.postMessage({ type: 'result', requestId: request.requestId, result });
+    } catch (e) {
+        self.postMessage({ type: 'error', requestId: request.requestId, message: e.message });
+    }
+}
@@ -1,11 +1,65 @@
+import { CLINICAL_CRITERIA_TYPES, JURISDICTION_BASES, PARTIAL_MATCH_CRITERIA_TYPES } from './models.js';
+
 /**
  * Core Logic Engine for Reportability
  */
+
+// HL7 ObservationInterpretation codes in "Abnormal Interpretation of an Observation"
+// (2.16.840.1.113762.1.4.1146.295). Not in CODE_TO_OIDS since RCTC doesn't ship HL7 codes.
+const ABNORMAL_INTERPRETATION_OID = '2.16.840.1.113762.1.4.1146.295';
+const ABNORMAL_INTERPRETATION_CODES = ['A', 'AA', 'H', 'HH', 'HU', 'L', 'LL', 'LU'];
+
+const INTERPRETATION_DISPLAY = {
+    A: 'Abnormal',
+    AA: 'Critical abnormal',
+    N: 'Normal',
+    H: 'High',
+    HH: 'Critical high',
+    HU: 'Significantly high',
+    L: 'Low',
+    LL: 'Critical low',
+    LU: 'Significantly low'
+};
+
+// formData list each dated criteria type is checked against
+const DATED_EVIDENCE_LISTS = {
+    diagnosis: 'diagnoses',
+    problem: 'problems',
+    lab_test: 'labs',
+    lab_order: 'labs',
+    lab_result: 'labs',
+    lab_interpretation: 'labs',
+    medication: 'medications',
+    immunization: 'immunizations'
+};
+
+/**
+ * Form dates are datetime-local / date strings; anything unparseable counts as undated
+ */
+function parseEvidenceDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+// "Pregnant" value sets - the pregnancy status SNOMED code from the form is not in
+// CODE_TO_OIDS, so a pregnant status satisfies these directly
+const PREGNANT_VALUE_SET_OIDS = [
+    '2.16.840.1.113762.1.4.1146.676',  // Pregnant (SNOMED)
+    '2.16.840.1.113762.1.4.1146.1986'  // Pregnant (ICD10CM)
+];
+
 export class ReportabilityEvaluator {
 
-    constructor(conditionsMap) {
+    /**
+     * @param {Map} conditionsMap id -> ReportableCondition
+     * @param {RuleIndex} [ruleIndex] Optional OID index; when given only candidate rules are evaluated
+     * @param {Map} [jurisdictions] code -> Jurisdiction from the loaded overlays
+     */
+    constructor(conditionsMap, ruleIndex = null, jurisdictions = new Map()) {
         this.conditions = conditionsMap;
-        // Optimization: Could build a code index here
+        this.ruleIndex = ruleIndex;
+        this.jurisdictions = jurisdictions;
     }
 
     /**
@@ -15,46 +69,94 @@ export class ReportabilityEvaluator {
     evaluate(formData) {
         const results = {
             isReportable: false,
-            triggeredConditions: [],  // { condition, matchedRules: [] }
-            potentialConditions: []   // Conditions where some criteria met but not all
+            jurisdictions: this.resolveJurisdictions(formData), // { code, name, basis: [] }
+            triggeredConditions: [],  // { condition, matchedRules: [], jurisdictions: [] }
+            potentialConditions: [],  // Conditions where some criteria met but not all
+            notReportableConditions: [] // Conditions whose codes are present but no rule matched
         };
 
+        // Narrow down to rules whose OIDs intersect the enriched form data
+        const candidateRules = this.ruleIndex ? this.ruleIndex.getCandidateRules(formData) : null;
+
         for (const condition of this.conditions.values()) {
-            const condResult = this.evaluateCondition(condition, formData);
+            if (candidateRules && !condition.rules.some(r => candidateRules.has(r))) continue;
+
+            const condResult = this.evaluateCondition(condition, formData, candidateRules, results.jurisdictions);
 
             if (condResult.isReportable) {
                 results.isReportable = true;
                 results.triggeredConditions.push(condResult);
             } else if (condResult.hasPartialMatch) {
                 results.potentialConditions.push(condResult);
+            } else if (candidateRules && condition.rules.some(r =>
+                candidateRules.has(r) && !this.ruleIndex.alwaysEvaluate.has(r))) {
+                // Only conditions whose value sets the patient's codes hit; unindexed
+                // rules are evaluated for everyone and say nothing about the patient
+                results.notReportableConditions.push(condResult);
             }
         }
 
         return results;
     }
 
-    evaluateCondition(condition, formData) {
+    /**
+     * Jurisdictions responsible for this patient: residence state and facility state,
+     * limited to the relationships each jurisdiction's overlay routes (default both)
+     */
+    resolveJurisdictions(formData) {
+        const located = [
+            ['residence', formData.demographics?.state],
+            ['facility', formData.facility?.state]
+        ];
+
+        const byCode = new Map();
+        for (const [basis, rawCode] of located) {
+            const code = (rawCode || '').trim().toUpperCase();
+            if (!code) continue;
+
+            const known = this.jurisdictions.get(code);
+            const routedBases = known ? known.basis : JURISDICTION_BASES;
+            if (!routedBases.includes(basis)) continue;
+
+            if (!byCode.has(code)) {
+                byCode.set(code, { code, name: known ? known.name : code, basis: [] });
+            }
+            byCode.get(code).basis.push(basis);
+        }
+        return Array.from(byCode.values());
+    }
+
+    /**
+     * @param {Array} jurisdictions Patient jurisdictions from resolveJurisdictions(); when
+     *   empty only national rules are evaluated
+     */
+    evaluateCondition(condition, formData, candidateRules = null, jurisdictions = []) {
         const result = {
             conditionId: condition.id,
             conditionName: condition.name,
+            conditionCode: condition.snomedCode || '', // SNOMED CT, when the rule set provides one
+            jurisdictions: [], // Jurisdictions this condition is reportable to
             matchedRules: [],
+            partialRules: [], // Rules with some groups met, for explaining what is missing
             isReportable: false,
             hasPartialMatch: false
         };
 
-        // Debug: Log ABI evaluation
-        if (condition.id === 'ABI') {
-            console.log('Evaluating ABI:', condition);
-            console.log('ABI rules count:', condition.rules.length);
-            console.log('Form diagnoses:', formData.diagnoses);
+        if (condition.trace) {
+            console.log(`[Trace ${condition.id}] Evaluating ${condition.rules.length} rules`, formData);
         }
 
         for (const rule of condition.rules) {
-            const ruleResult = this.evaluateRule(rule, formData);
+            if (candidateRules && !candidateRules.has(rule)) continue;
 
-            // Debug: Log ABI rule results
-            if (condition.id === 'ABI') {
-                console.log('ABI Rule result:', ruleResult);
+            const reportableTo = jurisdictions.filter(j => rule.appliesTo(j.code)).map(j => j.code);
+            if (jurisdictions.length > 0 ? reportableTo.length === 0 : !rule.isNational) continue;
+
+            const ruleResult = this.evaluateRule(rule, formData, condition.trace);
+            ruleResult.reportableTo = reportableTo;
+
+            if (condition.trace) {
+                console.log(`[Trace ${condition.id}] Rule ${rule.id} result:`, ruleResult);
             }
 
             if (ruleResult.passed) {
@@ -62,51 +164,47 @@ export class ReportabilityEvaluator {
             }
             if (ruleResult.partialMatch) {
                 result.hasPartialMatch = true;
+                result.partialRules.push(ruleResult);
             }
         }
 
         result.isReportable = result.matchedRules.length > 0;
+        result.jurisdictions = jurisdictions.filter(j =>
+            result.matchedRules.some(r => r.reportableTo.includes(j.code))
+        );
         return result;
     }
 
-    evaluateRule(rule, formData) {
+    evaluateRule(rule, formData, trace = false) {
         // A Rule passes if ALL Groups pass (AND logic)
         const groups = Object.values(rule.criteriaGroups);
         if (groups.length === 0) return { passed: false, partialMatch: false };
 
         // SAFETY: Ignore rules that are PURELY demographic (Parsing artifact)
-        const allCriteria = groups.flat();
-        const hasClinical = allCriteria.some(c =>
-            ['diagnosis', 'problem', 'lab_test', 'lab_result', 'medication'].includes(c.type)
-        );
-        if (!hasClinical) {
-            return { passed: false, partialMatch: false };
+        if (rule.requiresClinicalEvidence) {
+            const hasClinical = groups.flat().some(c => CLINICAL_CRITERIA_TYPES.includes(c.type));
+            if (!hasClinical) {
+                return { passed: false, partialMatch: false };
+            }
         }
 
         let passedGroups = 0;
         let passedClinicalGroups = 0;
-        const groupDetails = [];
-
-        for (const groupCriteria of groups) {
-            // A Group passes if ANY Criterion passes (OR logic)
-            const groupResult = this.evaluateGroup(groupCriteria, formData);
-            groupDetails.push(groupResult);
-
-            if (rule.conditionId === 'CAM') {
-                console.log(`CAM Group Result (Rule ${rule.id}):`, groupResult);
-            }
+        // Interpretation criteria only qualify labs this rule matched on its test/result value sets
+        const ruleData = { ...formData, ruleLabs: this.labsMatchedByRule(rule, formData.labs) };
+        const groupDetails = this.evaluateGroupsInAnchorOrder(rule, ruleData, trace);
 
+        groups.forEach((groupCriteria, idx) => {
+            const groupResult = groupDetails[idx];
             if (groupResult.passed) {
                 passedGroups++;
                 // Check if this group has any clinical criteria
-                const groupHasClinical = groupCriteria.some(c =>
-                    ['diagnosis', 'problem', 'lab_test', 'lab_result'].includes(c.type)
-                );
+                const groupHasClinical = groupCriteria.some(c => PARTIAL_MATCH_CRITERIA_TYPES.includes(c.type));
                 if (groupHasClinical) {
                     passedClinicalGroups++;
                 }
             }
-        }
+        });
 
         const allPassed = passedGroups === groups.length;
         // Partial match ONLY if at least one CLINICAL group passed (not just demographic)
@@ -123,10 +221,63 @@ export class ReportabilityEvaluator {
         };
     }
 
-    evaluateGroup(criteriaList, formData) {
+    /**
+     * Labs matching any of the rule's lab_test, lab_order or lab_result criteria
+     */
+    labsMatchedByRule(rule, labs) {
+        const labCriteria = Object.values(rule.criteriaGroups).flat()
+            .filter(c => ['lab_test', 'lab_order', 'lab_result'].includes(c.type));
+        return (labs || []).filter(l => labCriteria.some(c => {
+            if (c.type !== 'lab_result') return c.matchesOids(l.oids);
+            return c.isQuantityThreshold
+                ? l.resultKind === 'quantity' && c.matchesOids(l.oids) && c.matchesQuantity(l.qtyValue, l.qtyUnit)
+                : c.matchesOids(l.resultOids);
+        }));
+    }
+
+    /**
+     * Groups whose time windows are anchored on another group run after that group,
+     * so the anchor's matched evidence date is known. Results keep the rule's group order.
+     * Anchors that never resolve (unknown group, cycles) leave those criteria unmatched.
+     */
+    evaluateGroupsInAnchorOrder(rule, formData, trace = false) {
+        const entries = Object.entries(rule.criteriaGroups);
+        const anchors = new Map(); // groupId -> group result
+        const results = new Array(entries.length);
+
+        let remaining = entries.map(([groupId, criteria], idx) => ({ groupId, criteria, idx }));
+        while (remaining.length > 0) {
+            const ready = remaining.filter(g => g.criteria.every(c => !c.anchorGroupId || anchors.has(c.anchorGroupId)));
+            const batch = ready.length > 0 ? ready : remaining;
+
+            for (const group of batch) {
+                // A Group passes if ANY Criterion passes (OR logic)
+                const groupResult = this.evaluateGroup(group.criteria, formData, trace, anchors);
+                groupResult.groupId = group.groupId;
+                anchors.set(group.groupId, groupResult);
+                results[group.idx] = groupResult;
+            }
+            remaining = remaining.filter(g => !batch.includes(g));
+        }
+        return results;
+    }
+
+    /**
+     * @param {Map} [anchors] groupId -> result of groups already evaluated in this rule
+     */
+    evaluateGroup(criteriaList, formData, trace = false, anchors = new Map()) {
         // Only need one to pass
         for (const criterion of criteriaList) {
-            const matchResult = this.checkCriterionWithDetails(criterion, formData);
+            const windowedData = criterion.hasTimeWindow
+                ? this.applyTimeWindow(criterion, formData, anchors)
+                : formData;
+            const matchResult = windowedData
+                ? this.checkCriterionWithDetails(criterion, windowedData)
+                : { matched: false };
+            if (trace) {
+                console.log(`[Trace ${criterion.conditionId}] Rule ${criterion.ruleId} ${criterion.groupId}: ` +
+                    `${criterion.type} ${criterion.valueSetOids.join(';') || '(no OID)'} -> ${matchResult.matched}`);
+            }
             if (matchResult.matched) {
                 return {
                     passed: true,
@@ -135,7 +286,34 @@ export class ReportabilityEvaluator {
                 };
             }
         }
-        return { passed: false };
+        // Any one of these would have satisfied the group
+        return { passed: false, unmetCriteria: criteriaList };
+    }
+
+    /**
+     * Narrow the evidence list a windowed criterion reads to entries dated inside its
+     * window. Returns null when the anchor date is unknown (no encounter date, or the
+     * anchor group did not match dated evidence).
+     */
+    applyTimeWindow(criterion, formData, anchors) {
+        let anchorDate;
+        if (criterion.anchorGroupId) {
+            const anchorResult = anchors.get(criterion.anchorGroupId);
+            anchorDate = anchorResult?.passed ? parseEvidenceDate(anchorResult.matchedData?.date) : null;
+        } else {
+            anchorDate = parseEvidenceDate(formData.encounter?.date);
+        }
+        if (!anchorDate) return null;
+
+        const listKey = DATED_EVIDENCE_LISTS[criterion.type];
+        if (!listKey) return formData;
+
+        return {
+            ...formData,
+            [listKey]: (formData[listKey] || []).filter(item =>
+                criterion.isWithinWindow(parseEvidenceDate(item.date), anchorDate)
+            )
+        };
     }
 
     /**
@@ -150,7 +328,7 @@ export class ReportabilityEvaluator {
                     return this.checkProblemWithDetails(criterion, formData.problems);
                 case 'demographic_age':
                 case 'demographic':
-                    return this.checkAgeWithDetails(criterion, formData.demographics);
+                    return this.checkAgeWithDetails(criterion, formData.demographics, formData);
                 case 'lab_test':
                 case 'lab_order':
                     return this.checkLabTestWithDetails(criterion, formData.labs);
@@ -158,6 +336,12 @@ export class ReportabilityEvaluator {
                     return this.checkLabResultWithDetails(criterion, formData.labs);
                 case 'medication':
                     return this.checkMedicationWithDetails(criterion, formData.medications);
+                case 'lab_interpretation':
+                    return this.checkLabInterpretationWithDetails(criterion, formData.labs, formData.ruleLabs);
+                case 'pregnancy':
+                    return this.checkPregnancyWithDetails(criterion, formData.pregnancy);
+                case 'immunization':
+                    return this.checkImmunizationWithDetails(criterion, formData.immunizations);
                 default:
                     console.warn(`Unknown criteria type: ${criterion.type}`);
                     return { matched: false };
@@ -175,13 +359,14 @@ export class ReportabilityEvaluator {
     // --- Specific Checkers with Details ---
 
     checkDiagnosisWithDetails(criterion, diagnoses) {
-        if (!diagnoses || !criterion.valueSetOid) return { matched: false };
-        const match = diagnoses.find(d => d.oids && d.oids.includes(criterion.valueSetOid));
+        if (!diagnoses || criterion.valueSetOids.length === 0) return { matched: false };
+        const match = diagnoses.find(d => criterion.matchesOids(d.oids));
         if (match) {
             return {
                 matched: true,
                 matchedData: {
                     type: 'diagnosis',
+                    date: match.date,
                     code: match.code,
                     display: match.name || match.code,
                     codeSystem: match.codeSystem,
@@ -195,18 +380,9 @@ export class ReportabilityEvaluator {
     checkProblemWithDetails(criterion, problems) {
         if (!problems) return { matched: false };
 
-        if (criterion.conditionId === 'CAM') {
-            console.log(`Checking CAM Problem: OID=${criterion.valueSetOid}, Value=${criterion.value}`, problems);
-        }
-
         const match = problems.find(p => {
-            const oidMatch = p.oids && p.oids.includes(criterion.valueSetOid);
-            const statusMatch = (!criterion.value || p.status === criterion.value);
-
-            if (criterion.conditionId === 'CAM' && oidMatch) {
-                console.log(`  - Potential CAM Match: Code=${p.code}, OIDs=${p.oids}, Status=${p.status}, statusMatch=${statusMatch}`);
-            }
-
+            const oidMatch = criterion.matchesOids(p.oids);
+            const statusMatch = criterion.ignoreStatus || !criterion.value || p.status === criterion.value;
             return oidMatch && statusMatch;
         });
 
@@ -215,6 +391,7 @@ export class ReportabilityEvaluator {
                 matched: true,
                 matchedData: {
                     type: 'problem',
+                    date: match.date,
                     code: match.code,
                     display: match.name || match.code,
                     status: match.status,
@@ -225,39 +402,40 @@ export class ReportabilityEvaluator {
         return { matched: false };
     }
 
-    checkAgeWithDetails(criterion, demographics) {
-        if (!demographics || demographics.age === null) return { matched: false };
-        const ageYears = demographics.age;
-        let limit = parseFloat(criterion.value);
-        if (isNaN(limit)) return { matched: false };
-
-        const text = (criterion.valueSetName || '').toLowerCase();
-        let unit = 'years';
-        if (text.includes('days') || text.includes('day')) {
-            limit = limit / 365.25;
-            unit = 'days';
-        } else if (text.includes('months') || text.includes('month')) {
-            limit = limit / 12.0;
-            unit = 'months';
-        } else if (text.includes('weeks') || text.includes('week')) {
-            limit = limit / 52.14;
-            unit = 'weeks';
-        }
+    /**
+     * Age is compared in the criterion's unit (days for neonatal rules) using the
+     * completed units computed at the encounter date. Some RCTC age rows
+     * also carry a disorder value set (e.g. cleft lip AND age < 1 year); for those a
+     * diagnosis or problem in that value set is required too.
+     */
+    checkAgeWithDetails(criterion, demographics, formData = {}) {
+        if (!demographics || !criterion.ageLimit) return { matched: false };
+
+        const { value: limit, unit } = criterion.ageLimit;
+        const patientAge = demographics.ageUnits
+            ? demographics.ageUnits[unit]
+            : (unit === 'years' ? demographics.age : null);
+        if (patientAge === null || patientAge === undefined) return { matched: false };
 
         let matched = false;
-        if (criterion.operator === '<') matched = ageYears < limit;
-        else if (criterion.operator === '<=') matched = ageYears <= limit;
-        else if (criterion.operator === '>') matched = ageYears > limit;
-        else if (criterion.operator === '>=') matched = ageYears >= limit;
+        if (criterion.operator === '<' || criterion.operator === 'age_less_than') matched = patientAge < limit;
+        else if (criterion.operator === '<=') matched = patientAge <= limit;
+        else if (criterion.operator === '>') matched = patientAge > limit;
+        else if (criterion.operator === '>=') matched = patientAge >= limit;
+
+        if (matched && criterion.valueSetOids.length > 0) {
+            const coded = [...(formData.diagnoses || []), ...(formData.problems || [])];
+            matched = coded.some(item => criterion.matchesOids(item.oids));
+        }
 
         if (matched) {
             return {
                 matched: true,
                 matchedData: {
                     type: 'age',
-                    patientAge: ageYears,
-                    operator: criterion.operator,
-                    limit: criterion.value,
+                    patientAge: patientAge,
+                    operator: criterion.operator === 'age_less_than' ? '<' : criterion.operator,
+                    limit: limit,
                     unit: unit
                 }
             };
@@ -267,7 +445,7 @@ export class ReportabilityEvaluator {
 
     checkLabTestWithDetails(criterion, labs) {
         if (!labs) return { matched: false };
-        const match = labs.find(l => l.oids && l.oids.includes(criterion.valueSetOid));
+        const match = labs.find(l => criterion.matchesOids(l.oids));
         if (match) {
             console.log(`[Evaluator] LAB TEST MATCHED for OID ${criterion.valueSetOid}:`, match);
             console.log(`[Evaluator] Lab Test fields - display: "${match.display}", testName: "${match.testName}", code: "${match.code}", testCode: "${match.testCode}"`);
@@ -277,6 +455,7 @@ export class ReportabilityEvaluator {
                 matched: true,
                 matchedData: {
                     type: 'lab_test',
+                    date: match.date,
                     code: match.code,
                     display: displayValue,
                     valueSetName: criterion.valueSetName
@@ -288,12 +467,14 @@ export class ReportabilityEvaluator {
 
     checkLabResultWithDetails(criterion, labs) {
         if (!labs) return { matched: false };
-        const match = labs.find(l => l.resultOids && l.resultOids.includes(criterion.valueSetOid));
+        if (criterion.isQuantityThreshold) return this.checkLabQuantityWithDetails(criterion, labs);
+        const match = labs.find(l => criterion.matchesOids(l.resultOids));
         if (match) {
             return {
                 matched: true,
                 matchedData: {
                     type: 'lab_result',
+                    date: match.date,
                     testCode: match.code,
                     testDisplay: match.display || match.testName,
                     resultCode: match.resultCode,
@@ -305,12 +486,40 @@ export class ReportabilityEvaluator {
         return { matched: false };
     }
 
+    /**
+     * Quantitative lab_result: a quantity-kind lab of the criterion's test value set
+     * whose value (converted to the threshold unit) meets the threshold
+     */
+    checkLabQuantityWithDetails(criterion, labs) {
+        const match = labs.find(l =>
+            l.resultKind === 'quantity' &&
+            criterion.matchesOids(l.oids) &&
+            criterion.matchesQuantity(l.qtyValue, l.qtyUnit)
+        );
+        if (match) {
+            const { low, high, unit } = criterion.threshold;
+            return {
+                matched: true,
+                matchedData: {
+                    type: 'lab_result',
+                    date: match.date,
+                    testCode: match.code,
+                    testDisplay: match.display || match.testName || match.code,
+                    resultDisplay: `${match.qtyValue} ${match.qtyUnit || ''}`.trim(),
+                    threshold: `${criterion.operator} ${high !== null ? `${low}..${high}` : low}${unit ? ' ' + unit : ''}`,
+                    valueSetName: criterion.valueSetName
+                }
+            };
+        }
+        return { matched: false };
+    }
+
     checkMedicationWithDetails(criterion, medications) {
         if (!medications) return { matched: false };
         console.log(`[Evaluator] Checking medication criterion: OID=${criterion.valueSetOid}, medications count=${medications.length}`);
         const match = medications.find(m => {
             console.log(`[Evaluator] Checking medication code=${m.code}, oids=${m.oids?.join(', ')}`);
-            return m.oids && m.oids.includes(criterion.valueSetOid);
+            return criterion.matchesOids(m.oids);
         });
         if (match) {
             console.log(`[Evaluator] ✓ Medication matched! code=${match.code}, OID=${criterion.valueSetOid}`);
@@ -318,6 +527,7 @@ export class ReportabilityEvaluator {
                 matched: true,
                 matchedData: {
                     type: 'medication',
+                    date: match.date,
                     code: match.code,
                     display: match.display || match.name || match.code,
                     valueSetName: criterion.valueSetName
@@ -328,6 +538,97 @@ export class ReportabilityEvaluator {
         return { matched: false };
     }
 
+    /**
+     * Lab interpretation criteria come in two shapes:
+     *  - operator 'in' with a ';' separated code list in value (e.g. "a;h;hh;l;ll")
+     *  - operator 'in_valueset' against the Abnormal Interpretation value set
+     * Only labs the same rule matched on a lab_test/lab_result value set (ruleLabs)
+     * count, so an abnormal flag on an unrelated test never satisfies a group alone.
+     */
+    checkLabInterpretationWithDetails(criterion, labs, ruleLabs = []) {
+        if (!labs) return { matched: false };
+
+        let allowedCodes = [];
+        if (criterion.operator === 'in' && criterion.value) {
+            allowedCodes = criterion.value.split(';').map(v => v.trim().toUpperCase()).filter(Boolean);
+        } else if (criterion.valueSetOids.includes(ABNORMAL_INTERPRETATION_OID)) {
+            allowedCodes = ABNORMAL_INTERPRETATION_CODES;
+        }
+        if (allowedCodes.length === 0) return { matched: false };
+
+        const match = labs.find(l => ruleLabs.includes(l) &&
+            l.interpretation && allowedCodes.includes(l.interpretation.toUpperCase()));
+        if (match) {
+            const code = match.interpretation.toUpperCase();
+            return {
+                matched: true,
+                matchedData: {
+                    type: 'lab_interpretation',
+                    date: match.date,
+                    testCode: match.code,
+                    testDisplay: match.display || match.testName || match.code,
+                    interpretation: code,
+                    interpretationDisplay: INTERPRETATION_DISPLAY[code] || code,
+                    valueSetName: criterion.valueSetName
+                }
+            };
+        }
+        return { matched: false };
+    }
+
+    checkPregnancyWithDetails(criterion, pregnancy) {
+        if (!pregnancy || !pregnancy.status) return { matched: false };
+
+        const oidMatch = criterion.matchesOids(pregnancy.oids);
+        const statusMatch = pregnancy.isPregnant && criterion.valueSetOids.some(oid => PREGNANT_VALUE_SET_OIDS.includes(oid));
+
+        if (oidMatch || statusMatch) {
+            return {
+                matched: true,
+                matchedData: {
+                    type: 'pregnancy',
+                    code: pregnancy.status,
+                    display: pregnancy.statusDisplay || pregnancy.status,
+                    valueSetName: criterion.valueSetName
+                }
+            };
+        }
+        return { matched: false };
+    }
+
+    /**
+     * Immunization criteria match administered vaccines (status completed, not negated;
+     * rows without a status count as administered) either by value
+     * set OID or, with operator 'in', by a ';' separated CVX code list - RCTC has no
+     * vaccine value sets, so CVX lists are how packs express vaccine criteria
+     */
+    checkImmunizationWithDetails(criterion, immunizations) {
+        if (!immunizations) return { matched: false };
+
+        const cvxCodes = criterion.operator === 'in'
+            ? criterion.value.split(';').map(v => v.trim()).filter(Boolean)
+            : null;
+
+        const match = immunizations.find(i => {
+            if (i.negated || (i.status && i.status !== 'completed')) return false;
+            return cvxCodes ? cvxCodes.includes(String(i.code).trim().toLowerCase()) : criterion.matchesOids(i.oids);
+        });
+
+        if (match) {
+            return {
+                matched: true,
+                matchedData: {
+                    type: 'immunization',
+                    date: match.date,
+                    code: match.code,
+                    display: match.name || match.code,
+                    valueSetName: criterion.valueSetName
+                }
+            };
+        }
+        return { matched: false };
+    }
+
     // --- Legacy checkers (for backwards compatibility) ---
 
     checkDiagnosis(criterion, diagnoses) {
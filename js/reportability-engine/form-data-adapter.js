@@ -0,0 +1,155 @@
+import { computeAge } from './age.js';
+
+/**
+ * Adapter from the canonical eCeleRate form object to the engine's patient data.
+ *
+ * The canonical object is what getFormData() in form-handlers.js returns and what
+ * saved JSON forms contain: flat field values (patientBirthDate, encounterDate, ...)
+ * plus the repeater collections (labEvidence, diagnosisEvidence, problemEvidence,
+ * administeredMedications, immunizations). This module never touches the DOM, so
+ * the same evaluation runs on the live form, a saved form or in tests.
+ *
+ * Engine data shape:
+ *   { demographics, encounter, facility, pregnancy, diagnoses, problems, labs,
+ *     immunizations, medications }
+ * Coded items carry an empty oids list that enrichDataWithOids() fills in.
+ */
+
+const PREGNANT_STATUS_CODE = '77386006';
+
+// Pregnancy status codes offered by the form's #pregnancyStatus select
+const PREGNANCY_STATUS_DISPLAY = {
+    '77386006': 'Pregnant',
+    '60001007': 'Not pregnant',
+    '102874004': 'Possible pregnancy',
+    '261665006': 'Unknown'
+};
+
+/**
+ * Form dates arrive either as datetime-local values or, after getFormData(), as CDA
+ * timestamps (YYYYMMDDHHMMSS). The engine works with ISO-style date strings.
+ * @returns {string} "YYYY-MM-DD" / "YYYY-MM-DDTHH:MM", or '' when empty
+ */
+export function toIsoDateTime(value) {
+    const text = String(value ?? '').trim();
+    const cda = text.match(/^(\d{4})(\d{2})(\d{2})(?:(\d{2})(\d{2}))?\d*(?:[+-]\d{4})?$/);
+    if (!cda) return text;
+
+    const date = `${cda[1]}-${cda[2]}-${cda[3]}`;
+    return cda[4] ? `${date}T${cda[4]}:${cda[5]}` : date;
+}
+
+const text = value => String(value ?? '').trim();
+
+/**
+ * @param {Object} form Canonical form object (getFormData() / saved JSON form)
+ * @param {Object} [options]
+ * @param {string} [options.asOf] Date to compute age at when the form has no encounter date
+ * @returns {Object} Engine patient data
+ */
+export function toEngineData(form, options = {}) {
+    const source = form || {};
+    const encounterDate = toIsoDateTime(source.encounterDate);
+
+    return {
+        demographics: adaptDemographics(source, encounterDate || options.asOf || new Date().toISOString()),
+        encounter: { date: encounterDate },
+        facility: { state: text(source.facilityState) },
+        pregnancy: adaptPregnancy(source),
+        diagnoses: (source.diagnosisEvidence || [])
+            .filter(d => text(d.diagnosisCode))
+            .map(d => ({
+                code: text(d.diagnosisCode),
+                name: text(d.diagnosisName),
+                date: toIsoDateTime(d.diagnosisDate || d.onsetDate), // Used by time-window criteria
+                oids: []
+            })),
+        problems: (source.problemEvidence || [])
+            .filter(p => text(p.problemCode))
+            .map(p => ({
+                code: text(p.problemCode),
+                name: text(p.problemName),
+                status: p.concernStatus || p.status, // active, completed
+                date: toIsoDateTime(p.onsetDate),
+                oids: []
+            })),
+        labs: (source.labEvidence || [])
+            .filter(l => text(l.testCode))
+            .map(adaptLab),
+        immunizations: (source.immunizations || [])
+            .filter(i => text(i.vaccineCode))
+            .map(i => ({
+                code: text(i.vaccineCode), // CVX
+                name: text(i.vaccineName),
+                date: toIsoDateTime(i.immunizationDate),
+                status: i.status,
+                negated: Boolean(i.negated),
+                oids: []
+            })),
+        medications: (source.administeredMedications || [])
+            .filter(m => text(m.medicationCode))
+            .map(m => ({
+                code: text(m.medicationCode),
+                name: text(m.medicationName),
+                date: toIsoDateTime(m.administrationTime),
+                negated: Boolean(m.negated),
+                oids: []
+            }))
+    };
+}
+
+function adaptDemographics(source, referenceDate) {
+    const dob = toIsoDateTime(source.patientBirthDate);
+    // Age at the encounter, not today - the form may be describing a past visit
+    const ageUnits = computeAge(dob, referenceDate);
+    return {
+        id: text(source.patientId),
+        gender: text(source.patientGender),
+        dob: dob,
+        age: ageUnits ? ageUnits.years : null,
+        ageUnits: ageUnits, // { days, weeks, months, years } completed at the encounter date
+        state: text(source.patientState),
+        zip: text(source.patientZip)
+    };
+}
+
+function adaptPregnancy(source) {
+    const status = text(source.pregnancyStatus);
+    return {
+        isPregnant: status === PREGNANT_STATUS_CODE,
+        status: status,
+        statusDisplay: source.pregnancyStatusDisplay || PREGNANCY_STATUS_DISPLAY[status] || '',
+        estimatedDeliveryDate: toIsoDateTime(source.estimatedDeliveryDate),
+        oids: []
+    };
+}
+
+function adaptLab(l) {
+    const kind = l.valueKind;
+    let resultValue;
+    if (kind === 'coded') resultValue = text(l.valueCode);
+    else if (kind === 'quantity') resultValue = text(l.qtyValue);
+    else resultValue = text(l.textValue);
+
+    const qtyValue = kind === 'quantity' ? parseFloat(l.qtyValue) : NaN;
+    const orderTime = toIsoDateTime(l.orderTime);
+    const resultTime = toIsoDateTime(l.time);
+
+    return {
+        code: text(l.testCode), // For consistency with diagnosis/problem evaluator
+        testCode: text(l.testCode),
+        testName: text(l.testName),
+        resultValue: resultValue, // The code or number
+        resultKind: kind,
+        resultCode: kind === 'coded' ? resultValue : undefined,
+        resultDisplay: kind === 'coded' ? (text(l.valueName) || resultValue) : undefined,
+        qtyValue: isNaN(qtyValue) ? null : qtyValue, // Numeric result for quantity thresholds
+        qtyUnit: kind === 'quantity' ? text(l.qtyUnit) : '', // UCUM unit as entered
+        interpretation: l.interpretation,
+        date: orderTime || resultTime, // Order time stands in for collection time
+        orderTime: orderTime,
+        resultTime: resultTime,
+        oids: [], // Test code OIDs
+        resultOids: [] // Result code OIDs (crucial for "Positive Lab Result" value set)
+    };
+}
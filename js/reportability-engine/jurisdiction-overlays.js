@@ -0,0 +1,19 @@
+/**
+ * Embedded Jurisdiction Overlays
+ *
+ * The national rules in RULES_DATA apply to every jurisdiction. An overlay scopes
+ * changes to one jurisdiction (state code), applied by RulesLoader:
+ *
+ *   {
+ *     jurisdiction: 'IL',
+ *     name: 'Illinois Department of Public Health',
+ *     basis: ['residence', 'facility'],   // patient relationships routed to this PHA
+ *     disable: [{ condition_id: 'ABI', rule_id: '4' }, { condition_id: 'CAM' }],
+ *     add: { conditions: [], rules: [], criteria: [] },   // RULES_DATA columns, this jurisdiction only
+ *     tighten: [{ condition_id: 'COV', rule_id: '1', criteria: [] }]   // extra AND groups here
+ *   }
+ *
+ * disable without rule_id disables every rule of the condition. Rule packs can carry
+ * more overlays in a "jurisdictions" list with the same shape.
+ */
+export const JURISDICTION_OVERLAYS = [];
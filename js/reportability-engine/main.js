@@ -1,23 +1,32 @@
-import { RulesLoader } from './rules-loader.js';
-import { ReportabilityEvaluator } from './evaluator.js';
 import { FormScraper } from './form-scraper.js';
+import { toEngineData } from './form-data-adapter.js';
+import { parseEicrXml } from './eicr-importer.js';
+import { compareRrWithEngine, matchRrToEicr, parseRrXml } from './rr-importer.js';
 import { UIController } from './ui-controller.js';
-import { getOidsForCode } from './code-oid-lookup.js';
+import { createEvaluationClient } from './evaluation-client.js';
+import { describeRulePack, readRulePackFiles, validateRulePack } from './rule-pack.js';
+import { clearActiveRulePack, loadActiveRulePack, saveActiveRulePack } from './rule-pack-store.js';
 
 class ReportabilityEngineApp {
     constructor() {
-        this.loader = new RulesLoader();
         this.scraper = new FormScraper();
         this.ui = new UIController();
-        this.evaluator = null;
-        this.conditions = null;
+        this.client = null; // Worker (or main-thread fallback) running the rules engine
+        this.rulePack = null; // Active imported rule pack (null = embedded rules)
+        this.inboundRr = null; // {rr, xml, fileName} of a loaded partner RR
     }
 
     async init() {
         console.log("Reportability Engine: Initializing...");
         try {
-            this.conditions = await this.loader.loadAll();
-            this.evaluator = new ReportabilityEvaluator(this.conditions);
+            this.client = await createEvaluationClient();
+            await this.restoreRulePack();
+            this.ui.onRulePackFiles = (files, mode) => this.importRulePack(files, mode);
+            this.ui.onRulePackReset = () => this.resetRulePack();
+            this.ui.onEicrFile = (file) => this.importEicr(file);
+            this.ui.onRrFile = (file) => this.importRr(file);
+            this.ui.onViewRr = () => this.viewRr();
+            this.ui.onDismissRr = () => this.dismissRr();
             console.log("Reportability Engine: Ready.");
 
             this.attachListeners();
@@ -27,6 +36,143 @@ class ReportabilityEngineApp {
         }
     }
 
+    /**
+     * Re-apply the rule pack saved in IndexedDB; a pack that no longer loads is dropped
+     */
+    async restoreRulePack() {
+        const savedPack = await loadActiveRulePack();
+        if (savedPack) {
+            try {
+                await this.client.loadRules(savedPack);
+                this.rulePack = savedPack;
+            } catch (e) {
+                console.error("Saved rule pack could not be loaded, using embedded rules:", e);
+                await clearActiveRulePack().catch(() => {});
+            }
+        }
+        this.ui.setRulePackLabel(describeRulePack(this.rulePack), Boolean(this.rulePack));
+    }
+
+    async importRulePack(files, mode) {
+        try {
+            const pack = await readRulePackFiles(files, mode);
+            const errors = validateRulePack(pack);
+            if (errors.length > 0) {
+                throw new Error(errors.slice(0, 3).join('; ') + (errors.length > 3 ? ` (+${errors.length - 3} more)` : ''));
+            }
+
+            const conditionCount = await this.client.loadRules(pack);
+            this.rulePack = pack;
+            await saveActiveRulePack(pack).catch(e => console.warn("Rule pack not persisted:", e));
+
+            this.ui.setRulePackLabel(describeRulePack(pack), true);
+            this.notify(`Rule pack "${pack.name}" loaded (${conditionCount} conditions)`, 'success');
+            this.runEvaluation();
+        } catch (e) {
+            console.error("Rule pack import failed:", e);
+            this.notify(`Rule pack import failed: ${e.message}`, 'error');
+        }
+    }
+
+    async resetRulePack() {
+        try {
+            await this.client.loadRules(null);
+            this.rulePack = null;
+            await clearActiveRulePack().catch(e => console.warn("Saved rule pack not cleared:", e));
+
+            this.ui.setRulePackLabel(describeRulePack(null), false);
+            this.notify('Reverted to embedded reportability rules', 'success');
+            this.runEvaluation();
+        } catch (e) {
+            console.error("Rule reset failed:", e);
+            this.notify(`Could not reset rules: ${e.message}`, 'error');
+        }
+    }
+
+    /**
+     * Evaluate an eICR file from another system and show the result in the panel
+     */
+    async importEicr(file) {
+        try {
+            const { form, document: documentInfo } = parseEicrXml(await file.text());
+
+            const result = await this.evaluateFormObject(form);
+
+            this.ui.showImportedResult(result, documentInfo);
+            const status = result.isReportable
+                ? `reportable (${result.triggeredConditions.map(c => c.conditionName).join(', ')})`
+                : 'not reportable';
+            this.notify(`eICR ${file.name} evaluated: ${status}`, 'success');
+        } catch (e) {
+            console.error("eICR import failed:", e);
+            this.notify(`eICR import failed: ${e.message}`, 'error');
+        }
+    }
+
+    /**
+     * Load a partner's RR and compare it with the form's evaluation from now on
+     */
+    async importRr(file) {
+        try {
+            const xml = await file.text();
+            const rr = parseRrXml(xml);
+            this.inboundRr = { rr: rr, xml: xml, fileName: file.name };
+
+            if (this.ui.importedDocument) this.ui.clearImportedResult();
+            await this.runEvaluation();
+            this.ui.togglePanel(true);
+            this.notify(`RR ${file.name} loaded (${rr.determinations.length} determinations)`, 'success');
+        } catch (e) {
+            console.error("RR import failed:", e);
+            this.notify(`RR import failed: ${e.message}`, 'error');
+        }
+    }
+
+    async viewRr() {
+        if (!this.inboundRr) return;
+        try {
+            const html = await window.transformRRToHTML(this.inboundRr.xml);
+            const url = URL.createObjectURL(new Blob([html], { type: 'text/html' }));
+            if (!window.open(url, '_blank')) throw new Error('the browser blocked the new tab');
+            setTimeout(() => URL.revokeObjectURL(url), 60000);
+        } catch (e) {
+            console.error("RR rendering failed:", e);
+            this.notify(`Could not display RR: ${e.message}`, 'error');
+        }
+    }
+
+    dismissRr() {
+        this.inboundRr = null;
+        this.ui.setRrComparison(null);
+        this.runEvaluation();
+    }
+
+    /**
+     * Compare the loaded RR with a form evaluation; the RR's eICR reference is
+     * checked against the identifiers the form's eICR carries
+     */
+    compareInboundRr(result) {
+        const { rr, fileName } = this.inboundRr;
+        let eicrIds = null;
+        try {
+            eicrIds = window.getEICRIdentifiers(window.getFormData());
+        } catch (e) {
+            console.warn("eICR identifiers unavailable for RR matching:", e);
+        }
+        return {
+            rr: rr,
+            fileName: fileName,
+            eicrMatch: matchRrToEicr(rr.eicr, eicrIds),
+            ...compareRrWithEngine(rr, result)
+        };
+    }
+
+    notify(message, type) {
+        if (typeof window.showCleanUINotification === 'function') {
+            window.showCleanUINotification(message, type);
+        }
+    }
+
     attachListeners() {
         // Debounce helper
         const debounce = (func, wait) => {
@@ -41,25 +187,21 @@ class ReportabilityEngineApp {
 
         // Attach to known static inputs
         const staticInputs = document.querySelectorAll(
-            '#patientBirthDate, #patientGender, #patientState, #pregnancyStatus'
+            '#patientBirthDate, #patientGender, #patientState, #facilityState, #pregnancyStatus, #encounterDate'
         );
         staticInputs.forEach(input => {
             input.addEventListener('change', runEval);
             input.addEventListener('input', runEval);
         });
 
-        // Attach to medication fields
-        const medicationInputs = document.querySelectorAll('.me-medication-code');
-        medicationInputs.forEach(input => {
-            input.addEventListener('change', runEval);
-            input.addEventListener('input', runEval);
-        });
-
         // Attach to parent containers for dynamic inputs (delegation)
         const dynamicContainers = [
             'diagnosisEvidenceList',
             'problemEvidenceList',
-            'labEvidenceList'
+            'labEvidenceList',
+            // Medication times feed time-window criteria
+            'administeredMedicationList',
+            'immunizationList'
         ];
 
         dynamicContainers.forEach(id => {
@@ -84,79 +226,30 @@ class ReportabilityEngineApp {
         });
     }
 
-    runEvaluation() {
+    /**
+     * Evaluate a canonical form object (saved JSON form, imported data) without
+     * touching the page or the panel. One-off: neither cancels nor is cancelled by
+     * the live form evaluation.
+     * @returns {Promise<Object>} Result
+     */
+    evaluateFormObject(form, options = {}) {
+        return this.client.evaluate(toEngineData(form, options), { supersede: false });
+    }
+
+    async runEvaluation() {
         try {
             const data = this.scraper.getFormData();
-            // Enrich diagnosis/problem codes with their OIDs from RCTC lookup
-            this.enrichDataWithOids(data);
+            // OID enrichment and evaluation happen in the client (worker when available)
+            const result = await this.client.evaluate(data);
+            if (!result) return; // Superseded by a newer evaluation
 
-            const result = this.evaluator.evaluate(data);
+            if (this.inboundRr) this.ui.setRrComparison(this.compareInboundRr(result));
             this.ui.updateUI(result);
             console.log("Evaluation Result:", result);
         } catch (e) {
             console.error("Evaluation Error:", e);
         }
     }
-
-    enrichDataWithOids(data) {
-        // Use the RCTC-generated code-to-OID lookup table
-        // This maps diagnosis/problem/lab test/lab result codes to their value set OIDs
-
-        data.diagnoses.forEach(d => {
-            if (d.code) {
-                const oids = getOidsForCode(d.code);
-                if (oids.length > 0) {
-                    d.oids.push(...oids);
-                    console.log(`Diagnosis ${d.code} -> OIDs: ${oids.join(', ')}`);
-                }
-            }
-        });
-
-        data.problems.forEach(p => {
-            if (p.code) {
-                const oids = getOidsForCode(p.code);
-                if (oids.length > 0) {
-                    p.oids.push(...oids);
-                    console.log(`Problem ${p.code} -> OIDs: ${oids.join(', ')}`);
-                }
-            }
-        });
-
-        // PRIORITY 1 FIX: Enrich lab test codes and result codes with OIDs
-        data.labs.forEach(lab => {
-            // Enrich test code (LOINC)
-            if (lab.testCode) {
-                const testOids = getOidsForCode(lab.testCode);
-                if (testOids.length > 0) {
-                    lab.oids.push(...testOids);
-                    console.log(`Lab test ${lab.testCode} -> OIDs: ${testOids.join(', ')}`);
-                }
-            }
-
-            // Enrich result code (for coded results - SNOMED organism/substance codes)
-            if (lab.resultKind === 'coded' && lab.resultValue) {
-                const resultOids = getOidsForCode(lab.resultValue);
-                if (resultOids.length > 0) {
-                    lab.resultOids.push(...resultOids);
-                    console.log(`Lab result ${lab.resultValue} -> OIDs: ${resultOids.join(', ')}`);
-                }
-            }
-        });
-
-        // PRIORITY 2 FIX: Enrich medication codes with OIDs
-        console.log(`[Enrichment] Processing ${data.medications.length} medications`);
-        data.medications.forEach(med => {
-            if (med.code) {
-                const oids = getOidsForCode(med.code);
-                if (oids.length > 0) {
-                    med.oids.push(...oids);
-                    console.log(`[Enrichment] Medication ${med.code} -> OIDs: ${oids.join(', ')}`);
-                } else {
-                    console.log(`[Enrichment] Medication ${med.code} -> No OIDs found`);
-                }
-            }
-        });
-    }
 }
 
 // Start the app
@@ -171,8 +264,11 @@ if (document.readyState === 'loading') {
 // Expose evaluation function globally so search functions can trigger re-evaluation
 // when they programmatically set field values (which doesn't fire DOM events)
 window.triggerReportabilityEvaluation = () => {
-    if (app.evaluator) {
+    if (app.client) {
         console.log("Reportability Engine: Manual evaluation triggered");
         app.runEvaluation();
     }
 };
+
+// Evaluate a saved/imported canonical form object (same shape as getFormData())
+window.evaluateReportability = (form, options) => app.evaluateFormObject(form, options);
@@ -1,25 +1,138 @@
+import { convertQuantity, normalizeUcumUnit } from './ucum.js';
+import { parseAgeUnit } from './age.js';
+
 /**
  * Data models for the Reportability Engine
  */
 
+// Criteria types that make a rule more than a demographic filter
+export const CLINICAL_CRITERIA_TYPES = ['diagnosis', 'problem', 'lab_test', 'lab_result', 'medication', 'immunization'];
+
+// Criteria types whose group passing alone is enough to report a partial match
+export const PARTIAL_MATCH_CRITERIA_TYPES = ['diagnosis', 'problem', 'lab_test', 'lab_result'];
+
+// Every criteria type the evaluator knows how to check
+export const CRITERIA_TYPES = [
+    'diagnosis', 'problem', 'demographic', 'demographic_age', 'lab_test', 'lab_order',
+    'lab_result', 'lab_interpretation', 'medication', 'pregnancy', 'immunization'
+];
+
+// Criteria types that are matched against value set OIDs (value_set_oid)
+export const VALUE_SET_CRITERIA_TYPES = ['diagnosis', 'problem', 'lab_test', 'lab_order', 'lab_result', 'medication', 'pregnancy'];
+
+// Criteria types checked against dated evidence, so they can carry a time window
+export const TEMPORAL_CRITERIA_TYPES = [
+    'diagnosis', 'problem', 'lab_test', 'lab_order', 'lab_result', 'lab_interpretation', 'medication',
+    'immunization'
+];
+
+// time_anchor value for windows relative to the encounter date
+export const ENCOUNTER_ANCHOR = 'encounter';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Criteria types compared against the patient's age
+const AGE_CRITERIA_TYPES = ['demographic', 'demographic_age'];
+
+const CRITERIA_OPERATORS = ['', 'in_valueset', 'in', 'equals', '<', '<=', '>', '>=', 'between', 'age_less_than'];
+
+// lab_result operators that compare the quantity result instead of coded result OIDs
+const THRESHOLD_OPERATORS = ['<', '<=', '>', '>=', 'between'];
+
+const FLAG_VALUES = ['', 'true', 'false', 'yes', 'no', '1', '0'];
+
+/**
+ * RULES_DATA flag columns are strings ("true"/"false"); blank means use the default
+ */
+function parseFlag(raw, defaultValue) {
+    const text = String(raw ?? '').trim().toLowerCase();
+    if (text === '') return defaultValue;
+    return text === 'true' || text === 'yes' || text === '1';
+}
+
+/**
+ * Quantity threshold in a lab_result value column: "10 ug/dL", or "5..10 ug/dL" for
+ * 'between' (inclusive). The unit is optional and UCUM; it is read from the raw value
+ * since UCUM is case-sensitive.
+ * @returns {{low: number, high: number|null, unit: string|null, rawUnit: string}|null}
+ */
+function parseThreshold(raw, operator) {
+    const match = String(raw ?? '').trim().match(/^(-?\d+(?:\.\d+)?)(?:\s*\.\.\s*(-?\d+(?:\.\d+)?))?\s*(.*)$/);
+    if (!match) return null;
+    if ((operator === 'between') !== (match[2] !== undefined)) return null;
+
+    const rawUnit = match[3].trim();
+    return {
+        low: Number(match[1]),
+        high: match[2] !== undefined ? Number(match[2]) : null,
+        unit: normalizeUcumUnit(rawUnit),
+        rawUnit: rawUnit
+    };
+}
+
+/**
+ * Age limit of a demographic criterion. The unit comes from the value ("8 days",
+ * "1 year") or else the value set name ("Patient age < 28 days"); years by default.
+ * @returns {{value: number, unit: string}|null}
+ */
+function parseAgeLimit(raw, valueSetName) {
+    const match = String(raw ?? '').trim().match(/^(\d+(?:\.\d+)?)\s*(.*)$/);
+    if (!match) return null;
+    return {
+        value: Number(match[1]),
+        unit: parseAgeUnit(match[2]) || parseAgeUnit(valueSetName) || 'years'
+    };
+}
+
+/**
+ * Window bound column (days); blank means unbounded on that side
+ */
+function parseDays(raw) {
+    const text = String(raw ?? '').trim();
+    if (text === '') return null;
+    const days = Number(text);
+    return Number.isFinite(days) && days >= 0 ? days : null;
+}
+
 export class ReportableCondition {
-    constructor(id, name, snomedCode) {
+    constructor(id, name, snomedCode, options = {}) {
         this.id = id;
         this.name = name;
         this.snomedCode = snomedCode;
+        this.trace = parseFlag(options.trace, false); // Log rule/group evaluation to the console
         this.rules = []; // List of ReportabilityRule
     }
 }
 
 export class ReportabilityRule {
-    constructor(id, conditionId, name, description) {
+    constructor(id, conditionId, name, description, options = {}) {
         this.id = id;
         this.conditionId = conditionId;
         this.name = name;
         this.description = description;
+        // When true, the rule only passes if a clinical criterion (diagnosis, lab, etc.) is
+        // part of it - guards against rules that parsed as purely demographic
+        this.requiresClinicalEvidence = parseFlag(options.requires_clinical_evidence, true);
+        // Jurisdiction scope: null = national rule (every jurisdiction), otherwise a Set of
+        // jurisdiction codes added by overlays. excludedJurisdictions holds codes whose
+        // overlay disabled (or tightened) this rule.
+        this.jurisdictions = null;
+        this.excludedJurisdictions = new Set();
         this.criteriaGroups = {}; // Map<groupId, List<RuleCriterion>>
     }
 
+    /**
+     * @param {string} jurisdictionCode e.g. "IL"
+     */
+    appliesTo(jurisdictionCode) {
+        if (this.excludedJurisdictions.has(jurisdictionCode)) return false;
+        return this.jurisdictions === null || this.jurisdictions.has(jurisdictionCode);
+    }
+
+    get isNational() {
+        return this.jurisdictions === null;
+    }
+
     /**
      * Adds a criterion to the appropriate group (OR group)
      * Groups are AND scenarios (All groups must pass)
@@ -33,6 +146,25 @@ export class ReportabilityRule {
     }
 }
 
+/**
+ * Patient relationships that make a jurisdiction responsible for a case
+ */
+export const JURISDICTION_BASES = ['residence', 'facility'];
+
+export class Jurisdiction {
+    /**
+     * @param {Object} overlay Overlay row/object ({ jurisdiction, name, basis })
+     */
+    constructor(overlay) {
+        this.code = String(overlay.jurisdiction || '').trim().toUpperCase();
+        this.name = (overlay.name || '').trim() || this.code;
+        // Which patient relationships route cases to this jurisdiction
+        const basis = Array.isArray(overlay.basis) ? overlay.basis : String(overlay.basis || '').split(';');
+        const cleaned = basis.map(b => String(b).trim().toLowerCase()).filter(b => JURISDICTION_BASES.includes(b));
+        this.basis = cleaned.length > 0 ? cleaned : [...JURISDICTION_BASES];
+    }
+}
+
 export class RuleCriterion {
     constructor(data) {
         this.conditionId = data.condition_id;
@@ -42,7 +174,9 @@ export class RuleCriterion {
         this.type = data.criteria_type; // diagnosis, problem, lab_test, etc.
 
         // Value Set Info
-        this.valueSetOid = (data.value_set_oid || "").trim();
+        // value_set_oid may list several OIDs separated by ';' - any of them matches
+        this.valueSetOids = (data.value_set_oid || "").split(';').map(o => o.trim()).filter(Boolean);
+        this.valueSetOid = this.valueSetOids[0] || "";
         this.valueSetName = (data.value_set_name || "").trim();
         this.codeSystem = (data.code_system || "").trim();
 
@@ -50,5 +184,157 @@ export class RuleCriterion {
         this.field = (data.ecelerate_field || "").trim();
         this.operator = (data.operator || "").trim(); // in_valueset, equals, <, >, etc.
         this.value = (data.value || "").trim().toLowerCase(); // Convert to lowercase for consistent status matching
+        this.ignoreStatus = parseFlag(data.ignore_status, false); // Problem status (value) is not compared
+
+        // Quantitative lab_result: value_set_oid is the lab test value set and the
+        // quantity result is compared with operator/value (e.g. >= "3.5 ug/dL")
+        this.threshold = this.type === 'lab_result' && THRESHOLD_OPERATORS.includes(this.operator)
+            ? parseThreshold(data.value, this.operator)
+            : null;
+
+        // Age criteria compare the patient's age in the limit's unit
+        this.ageLimit = AGE_CRITERIA_TYPES.includes(this.type)
+            ? parseAgeLimit(data.value, this.valueSetName)
+            : null;
+
+        // Time window: evidence must fall between window_days_before the anchor and
+        // window_days_after it. The anchor is the encounter date or, given a criteria
+        // group id of the same rule, the date of the evidence that group matched
+        // (e.g. medication after diagnosis: anchor = diagnosis group, 0 days before).
+        this.windowDaysBefore = parseDays(data.window_days_before);
+        this.windowDaysAfter = parseDays(data.window_days_after);
+        this.timeAnchor = (data.time_anchor || "").trim() || (this.hasTimeWindow ? ENCOUNTER_ANCHOR : "");
+    }
+
+    get isQuantityThreshold() {
+        return this.threshold !== null;
+    }
+
+    /**
+     * True when a quantity result meets the threshold, after converting it to the
+     * threshold's unit. Results in units that don't convert never match; a threshold
+     * without a unit compares raw values.
+     * @param {number|string} value Result value (qtyValue)
+     * @param {string} unit Result unit as entered (qtyUnit)
+     */
+    matchesQuantity(value, unit) {
+        if (!this.threshold) return false;
+        const raw = parseFloat(value);
+        if (isNaN(raw)) return false;
+
+        const quantity = this.threshold.unit ? convertQuantity(raw, unit, this.threshold.unit) : raw;
+        if (quantity === null) return false;
+
+        const { low, high } = this.threshold;
+        switch (this.operator) {
+            case '>': return quantity > low;
+            case '>=': return quantity >= low;
+            case '<': return quantity < low;
+            case '<=': return quantity <= low;
+            case 'between': return quantity >= low && quantity <= high;
+            default: return false;
+        }
+    }
+
+    get hasTimeWindow() {
+        return this.windowDaysBefore !== null || this.windowDaysAfter !== null;
+    }
+
+    /**
+     * Criteria group this criterion's window is anchored on, or null for the encounter
+     */
+    get anchorGroupId() {
+        return this.hasTimeWindow && this.timeAnchor !== ENCOUNTER_ANCHOR ? this.timeAnchor : null;
+    }
+
+    /**
+     * True when an evidence date falls inside the window around the anchor date.
+     * Undated evidence never satisfies a window.
+     * @param {Date|null} eventDate
+     * @param {Date} anchorDate
+     */
+    isWithinWindow(eventDate, anchorDate) {
+        if (!eventDate || !anchorDate) return false;
+        const offsetDays = (eventDate.getTime() - anchorDate.getTime()) / MS_PER_DAY;
+        if (this.windowDaysBefore !== null && offsetDays < -this.windowDaysBefore) return false;
+        if (this.windowDaysAfter !== null && offsetDays > this.windowDaysAfter) return false;
+        return true;
+    }
+
+    /**
+     * Checks a raw criteria row (RULES_DATA / rule pack columns) against the shape
+     * the constructor and evaluator rely on. A value set criterion without a
+     * value_set_oid is accepted, as RulesLoader does; it never matches.
+     * @param {Object} data Raw criteria row
+     * @returns {string[]} Problems found (empty when the row is usable)
+     */
+    static validateRow(data) {
+        const problems = [];
+        const text = (key) => String(data[key] ?? '').trim();
+
+        ['condition_id', 'rule_id', 'criteria_group', 'criteria_type'].forEach(key => {
+            if (!text(key)) problems.push(`missing ${key}`);
+        });
+
+        const type = text('criteria_type');
+        if (type && !CRITERIA_TYPES.includes(type)) {
+            problems.push(`unknown criteria_type "${type}"`);
+        }
+
+        const operator = text('operator');
+        if (!CRITERIA_OPERATORS.includes(operator)) {
+            problems.push(`unknown operator "${operator}"`);
+        }
+
+        if (type === 'lab_result' && THRESHOLD_OPERATORS.includes(operator)) {
+            const threshold = parseThreshold(text('value'), operator);
+            if (!threshold) {
+                problems.push(operator === 'between'
+                    ? 'lab_result "between" needs a value like "5..10 ug/dL"'
+                    : `lab_result "${operator}" needs a numeric value like "10 ug/dL"`);
+            } else if (threshold.rawUnit && !threshold.unit) {
+                problems.push(`unsupported UCUM unit "${threshold.rawUnit}"`);
+            } else if (threshold.high !== null && threshold.high < threshold.low) {
+                problems.push('lab_result range is backwards');
+            }
+        }
+        if (AGE_CRITERIA_TYPES.includes(type) && text('value') && !parseAgeLimit(text('value'), '')) {
+            problems.push(`age criteria need a value like "28 days" or "18"`);
+        }
+        if (type === 'immunization' && (operator === 'in' ? !text('value') : !text('value_set_oid'))) {
+            problems.push('immunization criteria need a value_set_oid, or operator "in" with a ";" separated CVX code list');
+        }
+        if (type === 'lab_interpretation' && operator === 'in' && !text('value')) {
+            problems.push('lab_interpretation "in" criteria need a ";" separated value list');
+        }
+
+        if (!FLAG_VALUES.includes(text('ignore_status').toLowerCase())) {
+            problems.push('ignore_status must be true or false');
+        }
+
+        const windowed = ['window_days_before', 'window_days_after'].filter(key => text(key));
+        windowed.forEach(key => {
+            if (parseDays(text(key)) === null) problems.push(`${key} must be a number of days (0 or more)`);
+        });
+        if (windowed.length > 0 && type && !TEMPORAL_CRITERIA_TYPES.includes(type)) {
+            problems.push(`${type} criteria cannot have a time window`);
+        }
+        if (text('time_anchor') && windowed.length === 0) {
+            problems.push('time_anchor needs window_days_before and/or window_days_after');
+        }
+        if (text('time_anchor') && text('time_anchor') === text('criteria_group')) {
+            problems.push('time_anchor cannot be the criterion\'s own group');
+        }
+
+        return problems;
+    }
+
+    /**
+     * True when any of the given OIDs is one of this criterion's value sets
+     * @param {string[]} oids OIDs a patient code was enriched with
+     */
+    matchesOids(oids) {
+        if (!oids || oids.length === 0) return false;
+        return this.valueSetOids.some(oid => oids.includes(oid));
     }
 }
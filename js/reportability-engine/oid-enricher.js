@@ -0,0 +1,86 @@
+import { getOidsForCode } from './code-oid-lookup.js';
+
+/**
+ * Adds value set OIDs to the codes in a scraped form data object (mutates it).
+ * Shared by the evaluation worker and the in-page fallback.
+ * @param {Object} data Engine patient data (see form-data-adapter.js)
+ */
+export function enrichDataWithOids(data) {
+    // Use the RCTC-generated code-to-OID lookup table
+    // This maps diagnosis/problem/lab test/lab result codes to their value set OIDs
+
+    data.diagnoses.forEach(d => {
+        if (d.code) {
+            const oids = getOidsForCode(d.code);
+            if (oids.length > 0) {
+                d.oids.push(...oids);
+                console.log(`Diagnosis ${d.code} -> OIDs: ${oids.join(', ')}`);
+            }
+        }
+    });
+
+    data.problems.forEach(p => {
+        if (p.code) {
+            const oids = getOidsForCode(p.code);
+            if (oids.length > 0) {
+                p.oids.push(...oids);
+                console.log(`Problem ${p.code} -> OIDs: ${oids.join(', ')}`);
+            }
+        }
+    });
+
+    // PRIORITY 1 FIX: Enrich lab test codes and result codes with OIDs
+    data.labs.forEach(lab => {
+        // Enrich test code (LOINC)
+        if (lab.testCode) {
+            const testOids = getOidsForCode(lab.testCode);
+            if (testOids.length > 0) {
+                lab.oids.push(...testOids);
+                console.log(`Lab test ${lab.testCode} -> OIDs: ${testOids.join(', ')}`);
+            }
+        }
+
+        // Enrich result code (for coded results - SNOMED organism/substance codes)
+        if (lab.resultKind === 'coded' && lab.resultValue) {
+            const resultOids = getOidsForCode(lab.resultValue);
+            if (resultOids.length > 0) {
+                lab.resultOids.push(...resultOids);
+                console.log(`Lab result ${lab.resultValue} -> OIDs: ${resultOids.join(', ')}`);
+            }
+        }
+    });
+
+    // Enrich vaccine codes (CVX)
+    (data.immunizations || []).forEach(imm => {
+        if (imm.code) {
+            const oids = getOidsForCode(imm.code);
+            if (oids.length > 0) {
+                imm.oids.push(...oids);
+                console.log(`Immunization ${imm.code} -> OIDs: ${oids.join(', ')}`);
+            }
+        }
+    });
+
+    // Enrich pregnancy status code (SNOMED) with OIDs
+    if (data.pregnancy && data.pregnancy.status) {
+        const pregnancyOids = getOidsForCode(data.pregnancy.status);
+        if (pregnancyOids.length > 0) {
+            data.pregnancy.oids.push(...pregnancyOids);
+            console.log(`Pregnancy status ${data.pregnancy.status} -> OIDs: ${pregnancyOids.join(', ')}`);
+        }
+    }
+
+    // PRIORITY 2 FIX: Enrich medication codes with OIDs
+    console.log(`[Enrichment] Processing ${data.medications.length} medications`);
+    data.medications.forEach(med => {
+        if (med.code) {
+            const oids = getOidsForCode(med.code);
+            if (oids.length > 0) {
+                med.oids.push(...oids);
+                console.log(`[Enrichment] Medication ${med.code} -> OIDs: ${oids.join(', ')}`);
+            } else {
+                console.log(`[Enrichment] Medication ${med.code} -> No OIDs found`);
+            }
+        }
+    });
+}
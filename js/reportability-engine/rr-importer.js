@@ -0,0 +1,234 @@
+/**
+ * Reportability Response (CDA R2) importer.
+ *
+ * Reads an RR returned by a public health partner: the eICR it responds to, the
+ * eICR processing status and one determination per Relevant Reportable
+ * Condition Observation (2.16.840.1.113883.10.20.15.2.3.12) and Reportability
+ * Information Organizer (2.16.840.1.113883.10.20.15.2.3.13) - i.e. per
+ * condition and jurisdiction. compareRrWithEngine() lines those determinations
+ * up with a local engine result.
+ */
+
+import { attr, child, childElements, hasTemplate, parseClinicalDocument, textOf } from './cda-dom.js';
+
+const TEMPLATES = {
+    receivedEicrReference: '2.16.840.1.113883.10.20.15.2.3.10',
+    processingStatus: '2.16.840.1.113883.10.20.15.2.3.29',
+    processingStatusReason: '2.16.840.1.113883.10.20.15.2.3.21',
+    reportableCondition: '2.16.840.1.113883.10.20.15.2.3.12',
+    informationOrganizer: '2.16.840.1.113883.10.20.15.2.3.13',
+    determination: '2.16.840.1.113883.10.20.15.2.3.19',
+    reportingTimeframe: '2.16.840.1.113883.10.20.15.2.3.14'
+};
+
+const PHIN_QUESTIONS = '2.16.840.1.114222.4.5.232';
+const PHIN_VS = '2.16.840.1.114222.4.5.274';
+
+// Determination of reportability values (PHIN VS); R1..R3 are the older PHIN Questions codes
+export const RR_DETERMINATION_NAMES = {
+    RRVS1: 'Reportable',
+    RRVS2: 'May be reportable',
+    RRVS3: 'Not reportable',
+    RRVS4: 'No rule met'
+};
+const LEGACY_DETERMINATIONS = { R1: 'RRVS1', R2: 'RRVS2', R3: 'RRVS3' };
+
+const AGENCY_ROLES = { RR7: 'routingEntity', RR8: 'responsibleAgency', RR12: 'rulesAuthoringAgency' };
+
+function determinationOf(valueEl) {
+    const coded = [valueEl, ...childElements(valueEl, 'translation')].filter(Boolean);
+    const rrvs = coded.find(c => attr(c, 'codeSystem') === PHIN_VS && RR_DETERMINATION_NAMES[attr(c, 'code')]);
+    const legacy = coded.find(c => attr(c, 'codeSystem') === PHIN_QUESTIONS && LEGACY_DETERMINATIONS[attr(c, 'code')]);
+    const code = rrvs ? attr(rrvs, 'code') : legacy ? LEGACY_DETERMINATIONS[attr(legacy, 'code')] : '';
+    return {
+        code: code,
+        displayName: RR_DETERMINATION_NAMES[code] || attr(valueEl, 'displayName') || 'Unknown'
+    };
+}
+
+function readAgency(participant) {
+    const role = child(participant, 'participantRole');
+    return {
+        name: textOf(child(role, 'playingEntity/name')),
+        state: textOf(child(role, 'addr/state'))
+    };
+}
+
+function readInformationOrganizer(organizer) {
+    const agencies = {};
+    childElements(organizer, 'participant').forEach(p => {
+        const roleCode = attr(child(p, 'participantRole/code'), 'code');
+        if (AGENCY_ROLES[roleCode]) agencies[AGENCY_ROLES[roleCode]] = readAgency(p);
+    });
+    const responsible = agencies.responsibleAgency || agencies.rulesAuthoringAgency || agencies.routingEntity || { name: '', state: '' };
+
+    const observations = childElements(organizer, 'component').map(c => child(c, 'observation')).filter(Boolean);
+    const determination = observations.find(o => hasTemplate(o, TEMPLATES.determination));
+    const timeframe = observations.find(o => hasTemplate(o, TEMPLATES.reportingTimeframe));
+    const timeframeValue = child(timeframe, 'value');
+
+    return {
+        jurisdiction: { code: responsible.state, name: responsible.name },
+        locationRelevance: attr(child(organizer, 'code'), 'displayName'),
+        determination: determinationOf(child(determination, 'value')),
+        reportingTimeframe: timeframeValue
+            ? { value: attr(timeframeValue, 'value'), unit: attr(timeframeValue, 'unit') }
+            : null
+    };
+}
+
+function readReportableCondition(obs) {
+    const value = child(obs, 'value');
+    const condition = {
+        conditionCode: attr(value, 'code'),
+        conditionName: attr(value, 'displayName') || textOf(child(value, 'originalText'))
+    };
+    return childElements(obs, 'entryRelationship')
+        .map(er => child(er, 'organizer'))
+        .filter(org => org && hasTemplate(org, TEMPLATES.informationOrganizer))
+        .map(org => ({ ...condition, ...readInformationOrganizer(org) }));
+}
+
+function readProcessingStatus(act) {
+    if (!act) return null;
+    const code = child(act, 'code');
+    return {
+        code: attr(code, 'code'),
+        displayName: attr(code, 'displayName'),
+        reasons: childElements(act, 'entryRelationship')
+            .map(er => child(er, 'observation'))
+            .filter(o => o && hasTemplate(o, TEMPLATES.processingStatusReason))
+            .map(o => {
+                const value = child(o, 'value');
+                return attr(value, 'displayName') || textOf(child(value, 'originalText')) || textOf(value);
+            })
+            .filter(Boolean)
+    };
+}
+
+function ii(el) {
+    return { root: attr(el, 'root'), extension: attr(el, 'extension') };
+}
+
+/**
+ * Parse a Reportability Response document
+ * @param {string} xmlString RR XML
+ * @returns {{document: Object, eicr: Object|null, processingStatus: Object|null, determinations: Object[]}}
+ *   eicr holds the id / setId / versionNumber of the eICR the RR responds to
+ */
+export function parseRrXml(xmlString) {
+    const { root, elements } = parseClinicalDocument(xmlString);
+    const code = attr(child(root, 'code'), 'code');
+    const withTemplate = templateId => elements.filter(el => hasTemplate(el, templateId));
+
+    const conditions = withTemplate(TEMPLATES.reportableCondition);
+    if (code !== '88085-6' && conditions.length === 0) {
+        throw new Error('File is not a Reportability Response');
+    }
+
+    const eicrRef = withTemplate(TEMPLATES.receivedEicrReference)[0];
+    return {
+        document: {
+            id: ii(child(root, 'id')),
+            title: textOf(child(root, 'title')),
+            effectiveTime: attr(child(root, 'effectiveTime'), 'value')
+        },
+        eicr: eicrRef ? {
+            id: ii(child(eicrRef, 'id')),
+            setId: ii(child(eicrRef, 'setId')),
+            versionNumber: attr(child(eicrRef, 'versionNumber'), 'value')
+        } : null,
+        processingStatus: readProcessingStatus(withTemplate(TEMPLATES.processingStatus)[0]),
+        determinations: conditions.flatMap(readReportableCondition)
+    };
+}
+
+/**
+ * Does the RR respond to the eICR with these identifiers? Compares set id and
+ * version, or document id when the RR has no set id.
+ * @param {Object|null} rrEicr parseRrXml().eicr
+ * @param {Object} eicrIds getEICRIdentifiers() of the loaded eICR
+ * @returns {'match'|'otherVersion'|'mismatch'|'unknown'}
+ */
+export function matchRrToEicr(rrEicr, eicrIds) {
+    if (!rrEicr || !eicrIds) return 'unknown';
+    const sameId = (a, b) => Boolean(a.root) && a.root === b.root && (a.extension || '') === (b.extension || '');
+
+    if (rrEicr.setId.root && sameId(rrEicr.setId, eicrIds.setId)) {
+        return rrEicr.versionNumber === String(eicrIds.versionNumber) ? 'match' : 'otherVersion';
+    }
+    return sameId(rrEicr.id, eicrIds.id) ? 'match' : 'mismatch';
+}
+
+/**
+ * Exact agency names configured for a jurisdiction: its overlay name and the
+ * RR_JURISDICTIONS (config.js) entry with its agencies
+ */
+function configuredAgencyNames(jurisdiction) {
+    const config = (typeof RR_JURISDICTIONS !== 'undefined' && RR_JURISDICTIONS[jurisdiction.code]) || {};
+    const agencies = [config.responsibleAgency, config.rulesAuthoringAgency, config.routingEntity];
+    return [jurisdiction.name, config.name, ...agencies.map(agency => agency?.name)]
+        .filter(Boolean)
+        .map(name => name.trim().toLowerCase());
+}
+
+/**
+ * Jurisdiction code of the RR's agency: its addr/state, else the patient
+ * jurisdiction configured with exactly that agency name; '' when neither identifies it
+ */
+function agencyJurisdictionCode(agency, jurisdictions) {
+    if (agency.code) return agency.code.trim().toUpperCase();
+    const name = (agency.name || '').trim().toLowerCase();
+    const named = name && jurisdictions.find(j => configuredAgencyNames(j).includes(name));
+    return named ? named.code : '';
+}
+
+function localDetermination(evaluation, determination) {
+    const sameCondition = c => (determination.conditionCode && c.conditionCode === determination.conditionCode) ||
+        c.conditionName.toLowerCase() === determination.conditionName.toLowerCase();
+
+    const triggered = evaluation.triggeredConditions.find(sameCondition);
+    if (triggered) {
+        const code = agencyJurisdictionCode(determination.jurisdiction, evaluation.jurisdictions || []);
+        if (!code) return { condition: triggered, code: '' };
+        const inJurisdiction = triggered.jurisdictions.some(j => j.code === code);
+        return { condition: triggered, code: inJurisdiction ? 'RRVS1' : 'RRVS3' };
+    }
+    const potential = evaluation.potentialConditions.find(sameCondition);
+    if (potential) return { condition: potential, code: 'RRVS2' };
+    return { condition: (evaluation.notReportableConditions || []).find(sameCondition) || null, code: 'RRVS3' };
+}
+
+/**
+ * Line the partner's determinations up with the local engine result
+ * @param {Object} rr parseRrXml() result
+ * @param {Object} evaluation Engine result for the same eICR
+ * @returns {{rows: Object[], missing: Object[], differences: number}} One row per RR
+ *   determination ({..., local: {code, displayName}, jurisdictionUnknown, differs}); missing lists the
+ *   conditions the engine found reportable that the RR does not mention
+ */
+export function compareRrWithEngine(rr, evaluation) {
+    const rows = rr.determinations.map(determination => {
+        const local = localDetermination(evaluation, determination);
+        // "No rule met" and "Not reportable" agree with a condition the engine did not trigger
+        const partnerCode = determination.determination.code === 'RRVS4' ? 'RRVS3' : determination.determination.code;
+        return {
+            ...determination,
+            conditionId: local.condition?.conditionId || '',
+            // A triggered condition whose agency matches no known jurisdiction is not compared
+            local: { code: local.code, displayName: RR_DETERMINATION_NAMES[local.code] || 'Reportable, jurisdiction unknown' },
+            jurisdictionUnknown: !local.code,
+            differs: Boolean(local.code) && partnerCode !== local.code
+        };
+    });
+
+    const missing = evaluation.triggeredConditions.filter(c =>
+        !rows.some(row => row.conditionId === c.conditionId)
+    );
+
+    return {
+        rows: rows,
+        missing: missing,
+        differences: rows.filter(row => row.differs).length + missing.length
+    };
+}
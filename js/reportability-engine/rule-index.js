@@ -0,0 +1,114 @@
+import { CLINICAL_CRITERIA_TYPES, PARTIAL_MATCH_CRITERIA_TYPES } from './models.js';
+
+/**
+ * Inverted index from value set OID (per criteria type) to the rules that use it.
+ * Built once at load time so each evaluation only walks rules that can possibly
+ * match the enriched form data instead of every condition/rule/criterion.
+ */
+
+// Criteria types that can only match through OIDs on the form data, mapped to the
+// index key they share (lab_order criteria are checked against the lab test OIDs)
+const OID_KEYED_TYPES = {
+    diagnosis: 'diagnosis',
+    problem: 'problem',
+    lab_test: 'lab_test',
+    lab_order: 'lab_test',
+    lab_result: 'lab_result',
+    medication: 'medication',
+    immunization: 'immunization'
+};
+
+export class RuleIndex {
+    constructor() {
+        this.byKey = new Map();         // "type|oid" -> Set<ReportabilityRule>
+        this.alwaysEvaluate = new Set(); // Rules that can pass without any OID match
+    }
+
+    static build(conditions) {
+        const index = new RuleIndex();
+        for (const condition of conditions.values()) {
+            for (const rule of condition.rules) {
+                index.addRule(rule);
+            }
+        }
+        console.log(`Rule index: ${index.byKey.size} keys, ${index.alwaysEvaluate.size} unindexed rules.`);
+        return index;
+    }
+
+    static key(type, oid) {
+        return `${type}|${oid}`;
+    }
+
+    // OID-keyed criteria without any OID can never match, so they need no key either.
+    // 'in' criteria match a code list instead (immunization CVX codes).
+    static isOidKeyed(criterion) {
+        return Boolean(OID_KEYED_TYPES[criterion.type]) && criterion.operator !== 'in';
+    }
+
+    // Quantity thresholds match on the lab test OIDs, not coded result OIDs
+    static keyType(criterion) {
+        return criterion.isQuantityThreshold ? 'lab_test' : OID_KEYED_TYPES[criterion.type];
+    }
+
+    /**
+     * A rule needs at least one passing group to pass or partially match. When every
+     * group that could produce that outcome is made of OID-keyed criteria only, the
+     * rule is irrelevant unless one of those OIDs is present in the form data.
+     */
+    addRule(rule) {
+        const groups = Object.values(rule.criteriaGroups);
+        if (groups.length === 0) return;
+
+        // Purely demographic rules are rejected by the evaluator anyway
+        if (rule.requiresClinicalEvidence && !groups.flat().some(c => CLINICAL_CRITERIA_TYPES.includes(c.type))) {
+            return;
+        }
+
+        const hasFullyKeyedGroup = groups.some(g => g.every(c => RuleIndex.isOidKeyed(c)));
+        const hasUnkeyedPartialGroup = groups.some(g =>
+            g.some(c => PARTIAL_MATCH_CRITERIA_TYPES.includes(c.type)) && !g.every(c => RuleIndex.isOidKeyed(c))
+        );
+
+        if (!hasFullyKeyedGroup || hasUnkeyedPartialGroup) {
+            this.alwaysEvaluate.add(rule);
+            return;
+        }
+
+        for (const criterion of groups.flat()) {
+            if (!RuleIndex.isOidKeyed(criterion)) continue;
+            const type = RuleIndex.keyType(criterion);
+            for (const oid of criterion.valueSetOids) {
+                const key = RuleIndex.key(type, oid);
+                if (!this.byKey.has(key)) this.byKey.set(key, new Set());
+                this.byKey.get(key).add(rule);
+            }
+        }
+    }
+
+    /**
+     * Rules worth evaluating for an enriched form data object
+     * @param {Object} formData Standardized patient data object (after OID enrichment)
+     * @returns {Set} Set of ReportabilityRule
+     */
+    getCandidateRules(formData) {
+        const candidates = new Set(this.alwaysEvaluate);
+
+        const addAll = (type, oids) => {
+            (oids || []).forEach(oid => {
+                const rules = this.byKey.get(RuleIndex.key(type, oid));
+                if (rules) rules.forEach(r => candidates.add(r));
+            });
+        };
+
+        (formData.diagnoses || []).forEach(d => addAll('diagnosis', d.oids));
+        (formData.problems || []).forEach(p => addAll('problem', p.oids));
+        (formData.labs || []).forEach(l => {
+            addAll('lab_test', l.oids);
+            addAll('lab_result', l.resultOids);
+        });
+        (formData.medications || []).forEach(m => addAll('medication', m.oids));
+        (formData.immunizations || []).forEach(i => addAll('immunization', i.oids));
+
+        return candidates;
+    }
+}
@@ -0,0 +1,62 @@
+/**
+ * Persists the active rule pack in IndexedDB so it survives reloads.
+ * A single record is kept; clearing it returns the engine to the embedded rules.
+ */
+
+const DB_NAME = 'ecr-reportability';
+const DB_VERSION = 1;
+const STORE_NAME = 'rulePacks';
+const ACTIVE_KEY = 'active';
+
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not available'));
+            return;
+        }
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(STORE_NAME)) {
+                db.createObjectStore(STORE_NAME);
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function runTransaction(mode, action) {
+    return openDatabase().then(db => new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE_NAME, mode);
+        const request = action(tx.objectStore(STORE_NAME));
+        tx.oncomplete = () => {
+            db.close();
+            resolve(request.result);
+        };
+        tx.onerror = () => {
+            db.close();
+            reject(tx.error);
+        };
+    }));
+}
+
+/**
+ * @returns {Promise<Object|null>} The saved rule pack, or null when none is active
+ */
+export async function loadActiveRulePack() {
+    try {
+        return (await runTransaction('readonly', store => store.get(ACTIVE_KEY))) || null;
+    } catch (e) {
+        console.warn("Could not read saved rule pack:", e);
+        return null;
+    }
+}
+
+export function saveActiveRulePack(pack) {
+    return runTransaction('readwrite', store => store.put(pack, ACTIVE_KEY));
+}
+
+export function clearActiveRulePack() {
+    return runTransaction('readwrite', store => store.delete(ACTIVE_KEY));
+}
@@ -0,0 +1,318 @@
+import { JURISDICTION_BASES, RuleCriterion } from './models.js';
+
+/**
+ * User-supplied rule packs.
+ *
+ * A rule pack carries the same three tables as RULES_DATA (conditions, rules,
+ * criteria) with the same column names, either as three CSV files or one JSON file:
+ *   { name, version, mode: 'merge' | 'replace', conditions: [], rules: [], criteria: [], jurisdictions: [] }
+ *
+ * 'merge' overlays the embedded rules: conditions and rules are overridden by id,
+ * and a rule that has criteria in the pack gets its criteria replaced as a whole.
+ * 'replace' uses the pack on its own. JSON packs may also carry jurisdiction overlays
+ * (see jurisdiction-overlays.js); CSV packs are national rules only.
+ *
+ * This module does not import RULES_DATA so the main thread can parse and validate
+ * packs without loading the rules; merging happens in RulesLoader.
+ */
+
+export const RULE_PACK_MODES = ['merge', 'replace'];
+
+const EMBEDDED_RULES_LABEL = 'Embedded rules (RCTC 2025-03-18)';
+
+/**
+ * Parse CSV text (RFC 4180 quoting) into row objects keyed by the header row
+ * @param {string} text CSV file contents
+ * @returns {Object[]} Rows
+ */
+export function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+
+    const source = text.replace(/^\uFEFF/, ''); // Excel adds a BOM
+    for (let i = 0; i < source.length; i++) {
+        const ch = source[i];
+        if (inQuotes) {
+            if (ch === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                inQuotes = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === ',') {
+            record.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && source[i + 1] === '\n') i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+
+    const nonEmpty = records.filter(r => r.some(v => v.trim() !== ''));
+    if (nonEmpty.length === 0) return [];
+
+    const headers = nonEmpty[0].map(h => h.trim().toLowerCase());
+    return nonEmpty.slice(1).map(values => {
+        const row = {};
+        headers.forEach((h, idx) => {
+            row[h] = (values[idx] ?? '').trim();
+        });
+        return row;
+    });
+}
+
+/**
+ * Work out which RULES_DATA table a CSV holds from its columns
+ */
+function classifyCsvRows(rows) {
+    const columns = Object.keys(rows[0] || {});
+    if (columns.includes('criteria_type')) return 'criteria';
+    if (columns.includes('rule_id')) return 'rules';
+    if (columns.includes('condition_name')) return 'conditions';
+    return null;
+}
+
+/**
+ * Build a rule pack from files chosen in the file picker or dropped on the panel
+ * @param {File[]} files One JSON pack, or up to three CSVs (conditions/rules/criteria)
+ * @param {string} mode 'merge' or 'replace'
+ * @returns {Promise<Object>} Rule pack
+ */
+export async function readRulePackFiles(files, mode = 'merge') {
+    const list = Array.from(files || []);
+    if (list.length === 0) throw new Error('No rule pack files selected');
+
+    const jsonFiles = list.filter(f => f.name.toLowerCase().endsWith('.json'));
+    const csvFiles = list.filter(f => f.name.toLowerCase().endsWith('.csv'));
+
+    if (jsonFiles.length + csvFiles.length !== list.length) {
+        throw new Error('Rule packs must be .csv or .json files');
+    }
+    if (jsonFiles.length > 1 || (jsonFiles.length === 1 && csvFiles.length > 0)) {
+        throw new Error('Select either one JSON rule pack or the CSV files, not both');
+    }
+
+    let pack;
+    if (jsonFiles.length === 1) {
+        const json = JSON.parse(await jsonFiles[0].text());
+        if (!json || typeof json !== 'object') throw new Error(`${jsonFiles[0].name} is not a rule pack object`);
+        pack = {
+            name: json.name || jsonFiles[0].name.replace(/\.json$/i, ''),
+            version: json.version ? String(json.version) : '',
+            mode: json.mode || mode,
+            conditions: json.conditions || [],
+            rules: json.rules || [],
+            criteria: json.criteria || [],
+            jurisdictions: json.jurisdictions || []
+        };
+    } else {
+        pack = {
+            name: csvFiles.map(f => f.name.replace(/\.csv$/i, '')).join(' + '),
+            version: '',
+            mode: mode,
+            conditions: [],
+            rules: [],
+            criteria: [],
+            jurisdictions: []
+        };
+        for (const file of csvFiles) {
+            const rows = parseCsv(await file.text());
+            const table = classifyCsvRows(rows);
+            if (!table) {
+                throw new Error(`${file.name}: expected conditions, rules or criteria columns`);
+            }
+            pack[table].push(...rows);
+        }
+    }
+
+    pack.importedAt = new Date().toISOString();
+    return pack;
+}
+
+/**
+ * Row-level validation of a pack (shape only - references are checked after merging)
+ * @returns {string[]} Errors; empty when the pack can be loaded
+ */
+export function validateRulePack(pack) {
+    const errors = [];
+    if (!pack || typeof pack !== 'object') return ['Rule pack is empty'];
+
+    if (!RULE_PACK_MODES.includes(pack.mode)) {
+        errors.push(`mode must be one of ${RULE_PACK_MODES.join(', ')}`);
+    }
+    ['conditions', 'rules', 'criteria'].forEach(table => {
+        if (!Array.isArray(pack[table])) errors.push(`${table} must be a list of rows`);
+    });
+    const overlays = pack.jurisdictions || [];
+    if (!Array.isArray(overlays)) errors.push('jurisdictions must be a list of overlays');
+    if (errors.length > 0) return errors;
+
+    if (pack.conditions.length + pack.rules.length + pack.criteria.length + overlays.length === 0) {
+        errors.push('Rule pack has no conditions, rules, criteria or jurisdictions');
+    }
+
+    pack.conditions.forEach((row, idx) => {
+        if (!String(row.condition_id ?? '').trim()) errors.push(`conditions row ${idx + 1}: missing condition_id`);
+        if (!String(row.condition_name ?? '').trim()) errors.push(`conditions row ${idx + 1}: missing condition_name`);
+    });
+    pack.rules.forEach((row, idx) => {
+        if (!String(row.condition_id ?? '').trim()) errors.push(`rules row ${idx + 1}: missing condition_id`);
+        if (!String(row.rule_id ?? '').trim()) errors.push(`rules row ${idx + 1}: missing rule_id`);
+    });
+    pack.criteria.forEach((row, idx) => {
+        RuleCriterion.validateRow(row).forEach(problem => {
+            errors.push(`criteria row ${idx + 1}: ${problem}`);
+        });
+    });
+    overlays.forEach((overlay, idx) => {
+        validateJurisdictionOverlay(overlay).forEach(problem => {
+            errors.push(`jurisdictions[${idx}]: ${problem}`);
+        });
+    });
+
+    return errors;
+}
+
+/**
+ * Shape check for one jurisdiction overlay; unknown condition/rule references are
+ * reported by RulesLoader when the overlay is applied
+ * @returns {string[]} Errors
+ */
+export function validateJurisdictionOverlay(overlay) {
+    if (!overlay || typeof overlay !== 'object') return ['overlay must be an object'];
+
+    const errors = [];
+    if (!/^[A-Za-z]{2}$/.test(String(overlay.jurisdiction ?? '').trim())) {
+        errors.push('jurisdiction must be a two-letter state code');
+    }
+    const basis = overlay.basis ?? JURISDICTION_BASES;
+    const bases = Array.isArray(basis) ? basis : String(basis).split(';').map(b => b.trim());
+    if (bases.length === 0 || bases.some(b => !JURISDICTION_BASES.includes(b))) {
+        errors.push(`basis must list one or more of ${JURISDICTION_BASES.join(', ')}`);
+    }
+
+    (overlay.disable || []).forEach((ref, idx) => {
+        if (!String(ref?.condition_id ?? '').trim()) errors.push(`disable ${idx + 1}: missing condition_id`);
+    });
+
+    const add = overlay.add || {};
+    (add.rules || []).forEach((row, idx) => {
+        if (!String(row.condition_id ?? '').trim()) errors.push(`add rules row ${idx + 1}: missing condition_id`);
+        if (!String(row.rule_id ?? '').trim()) errors.push(`add rules row ${idx + 1}: missing rule_id`);
+    });
+    (add.criteria || []).forEach((row, idx) => {
+        RuleCriterion.validateRow(row).forEach(problem => {
+            errors.push(`add criteria row ${idx + 1}: ${problem}`);
+        });
+    });
+
+    (overlay.tighten || []).forEach((tightening, idx) => {
+        if (!String(tightening?.condition_id ?? '').trim() || !String(tightening?.rule_id ?? '').trim()) {
+            errors.push(`tighten ${idx + 1}: condition_id and rule_id are required`);
+            return;
+        }
+        if (!Array.isArray(tightening.criteria) || tightening.criteria.length === 0) {
+            errors.push(`tighten ${idx + 1}: no criteria`);
+            return;
+        }
+        tightening.criteria.forEach((row, rowIdx) => {
+            const scoped = { ...row, condition_id: tightening.condition_id, rule_id: tightening.rule_id };
+            RuleCriterion.validateRow(scoped).forEach(problem => {
+                errors.push(`tighten ${idx + 1} criteria row ${rowIdx + 1}: ${problem}`);
+            });
+        });
+    });
+
+    return errors;
+}
+
+/**
+ * Combine the embedded rules data with a pack
+ * @param {Object} base RULES_DATA
+ * @param {Object} pack Validated rule pack
+ * @returns {Object} Rules data in RULES_DATA shape
+ */
+export function applyRulePack(base, pack) {
+    if (pack.mode === 'replace') {
+        return {
+            conditions: pack.conditions,
+            rules: pack.rules,
+            criteria: pack.criteria
+        };
+    }
+
+    const ruleKey = row => `${row.condition_id}|${row.rule_id}`;
+
+    const conditions = new Map(base.conditions.map(row => [row.condition_id, row]));
+    pack.conditions.forEach(row => {
+        conditions.set(row.condition_id, { ...conditions.get(row.condition_id), ...row });
+    });
+
+    const rules = new Map(base.rules.map(row => [ruleKey(row), row]));
+    pack.rules.forEach(row => {
+        rules.set(ruleKey(row), { ...rules.get(ruleKey(row)), ...row });
+    });
+
+    const replacedRules = new Set(pack.criteria.map(ruleKey));
+    const criteria = base.criteria
+        .filter(row => !replacedRules.has(ruleKey(row)))
+        .concat(pack.criteria);
+
+    return {
+        conditions: Array.from(conditions.values()),
+        rules: Array.from(rules.values()),
+        criteria
+    };
+}
+
+/**
+ * Pack rows that point at conditions/rules that don't exist in the combined rules data
+ * (RulesLoader would skip them silently). The embedded data is not checked.
+ * @param {Object} rulesData Rules data in RULES_DATA shape (after applyRulePack)
+ * @param {Object} pack The rule pack that was applied
+ * @returns {string[]} Errors
+ */
+export function findRuleReferenceErrors(rulesData, pack) {
+    const errors = [];
+    const conditionIds = new Set(rulesData.conditions.map(row => row.condition_id));
+    const ruleKeys = new Set(rulesData.rules.map(row => `${row.condition_id}|${row.rule_id}`));
+
+    pack.rules.forEach(row => {
+        if (!conditionIds.has(row.condition_id)) {
+            errors.push(`rule ${row.condition_id}/${row.rule_id}: unknown condition ${row.condition_id}`);
+        }
+    });
+    pack.criteria.forEach(row => {
+        if (!ruleKeys.has(`${row.condition_id}|${row.rule_id}`)) {
+            errors.push(`criteria ${row.condition_id}/${row.rule_id}/${row.criteria_group}: unknown rule ${row.condition_id}/${row.rule_id}`);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Label shown in the reportability panel for the active rule set
+ * @param {Object|null} pack Active rule pack, or null for the embedded rules
+ */
+export function describeRulePack(pack) {
+    if (!pack) return EMBEDDED_RULES_LABEL;
+    const version = pack.version ? ` v${pack.version}` : '';
+    const imported = pack.importedAt ? `, imported ${pack.importedAt.split('T')[0]}` : '';
+    return `${pack.name}${version} (${pack.mode}${imported})`;
+}
@@ -1,22 +1,37 @@
-import { ReportableCondition, ReportabilityRule, RuleCriterion } from './models.js';
+import { Jurisdiction, ReportableCondition, ReportabilityRule, RuleCriterion } from './models.js';
 import { RULES_DATA } from './rules-data.js';
+import { JURISDICTION_OVERLAYS } from './jurisdiction-overlays.js';
+import { RuleIndex } from './rule-index.js';
+import { applyRulePack, findRuleReferenceErrors, validateRulePack } from './rule-pack.js';
 
 /**
  * Responsible for loading the rules data from embedded RULES_DATA
- * (Previously fetched CSVs, but that caused issues with file:// and caching)
+ * (Previously fetched CSVs, but that caused issues with file:// and caching),
+ * optionally merged with or replaced by a user-imported rule pack (see rule-pack.js)
  */
 export class RulesLoader {
     constructor() {
         this.conditions = new Map(); // id -> ReportableCondition
+        this.ruleIndex = null; // RuleIndex over the loaded conditions
+        this.jurisdictions = new Map(); // code -> Jurisdiction (from overlays)
+        this.rulesData = RULES_DATA;
     }
 
-    async loadAll() {
-        console.log("Loading Reportability Rules from embedded data...");
+    /**
+     * @param {Object|null} rulePack Imported rule pack to apply on top of RULES_DATA
+     */
+    async loadAll(rulePack = null) {
+        console.log(rulePack
+            ? `Loading Reportability Rules with rule pack "${rulePack.name}" (${rulePack.mode})...`
+            : "Loading Reportability Rules from embedded data...");
 
         try {
+            this.rulesData = rulePack ? this.buildRulesData(rulePack) : RULES_DATA;
             this.loadConditions();
             this.loadRules();
             this.loadCriteria();
+            this.loadJurisdictions(this.getOverlays(rulePack));
+            this.ruleIndex = RuleIndex.build(this.conditions);
             console.log(`Loaded ${this.conditions.size} conditions.`);
             return this.conditions;
         } catch (e) {
@@ -25,19 +40,33 @@ export class RulesLoader {
         }
     }
 
+    buildRulesData(rulePack) {
+        const errors = validateRulePack(rulePack);
+        const merged = errors.length === 0 ? applyRulePack(RULES_DATA, rulePack) : null;
+        if (merged) errors.push(...findRuleReferenceErrors(merged, rulePack));
+
+        if (errors.length > 0) {
+            const shown = errors.slice(0, 5).join('; ');
+            const more = errors.length > 5 ? ` (+${errors.length - 5} more)` : '';
+            throw new Error(`Invalid rule pack "${rulePack.name}": ${shown}${more}`);
+        }
+        return merged;
+    }
+
     loadConditions() {
-        for (const row of RULES_DATA.conditions) {
+        for (const row of this.rulesData.conditions) {
             const cond = new ReportableCondition(
                 row.condition_id,
                 row.condition_name,
-                row.condition_snomed
+                row.condition_snomed,
+                row
             );
             this.conditions.set(cond.id, cond);
         }
     }
 
     loadRules() {
-        for (const row of RULES_DATA.rules) {
+        for (const row of this.rulesData.rules) {
             const cond = this.conditions.get(row.condition_id);
             if (!cond) continue;
 
@@ -45,14 +74,15 @@ export class RulesLoader {
                 row.rule_id,
                 row.condition_id,
                 row.rule_name,
-                row.rule_description
+                row.rule_description,
+                row
             );
             cond.rules.push(rule);
         }
     }
 
     loadCriteria() {
-        for (const row of RULES_DATA.criteria) {
+        for (const row of this.rulesData.criteria) {
             const cond = this.conditions.get(row.condition_id);
             if (!cond) continue;
 
@@ -63,4 +93,101 @@ export class RulesLoader {
             rule.addCriterion(criterion);
         }
     }
+
+    /**
+     * Embedded overlays plus the pack's; a 'replace' pack brings its own overlays only
+     */
+    getOverlays(rulePack) {
+        if (!rulePack) return JURISDICTION_OVERLAYS;
+        const packOverlays = rulePack.jurisdictions || [];
+        return rulePack.mode === 'replace' ? packOverlays : [...JURISDICTION_OVERLAYS, ...packOverlays];
+    }
+
+    /**
+     * Apply per-jurisdiction overlays (see jurisdiction-overlays.js) to the loaded rules
+     */
+    loadJurisdictions(overlays) {
+        for (const overlay of overlays) {
+            const jurisdiction = new Jurisdiction(overlay);
+            if (!jurisdiction.code) throw new Error('Jurisdiction overlay is missing its jurisdiction code');
+            this.jurisdictions.set(jurisdiction.code, jurisdiction);
+
+            for (const ref of overlay.disable || []) {
+                this.findOverlayTargets(ref, jurisdiction.code)
+                    .forEach(rule => rule.excludedJurisdictions.add(jurisdiction.code));
+            }
+            this.addOverlayRules(overlay.add, jurisdiction.code);
+            for (const tightening of overlay.tighten || []) {
+                this.tightenRule(tightening, jurisdiction.code);
+            }
+        }
+    }
+
+    findOverlayTargets(ref, code) {
+        const cond = this.conditions.get(ref.condition_id);
+        if (!cond) throw new Error(`Overlay ${code}: unknown condition ${ref.condition_id}`);
+        if (!ref.rule_id) return cond.rules.filter(r => r.isNational);
+
+        const rule = cond.rules.find(r => r.id === String(ref.rule_id) && r.isNational);
+        if (!rule) throw new Error(`Overlay ${code}: unknown rule ${ref.condition_id}/${ref.rule_id}`);
+        return [rule];
+    }
+
+    /**
+     * Overlay rules get a jurisdiction-prefixed id so they can't collide with national ones
+     */
+    addOverlayRules(add, code) {
+        if (!add) return;
+
+        for (const row of add.conditions || []) {
+            if (!this.conditions.has(row.condition_id)) {
+                this.conditions.set(row.condition_id,
+                    new ReportableCondition(row.condition_id, row.condition_name, row.condition_snomed, row));
+            }
+        }
+
+        for (const row of add.rules || []) {
+            const cond = this.conditions.get(row.condition_id);
+            if (!cond) throw new Error(`Overlay ${code}: unknown condition ${row.condition_id}`);
+
+            const rule = new ReportabilityRule(`${code}-${row.rule_id}`, row.condition_id, row.rule_name, row.rule_description, row);
+            rule.jurisdictions = new Set([code]);
+            cond.rules.push(rule);
+        }
+
+        for (const row of add.criteria || []) {
+            const ruleId = `${code}-${row.rule_id}`;
+            const rule = this.conditions.get(row.condition_id)?.rules.find(r => r.id === ruleId);
+            if (!rule) throw new Error(`Overlay ${code}: criteria for unknown rule ${row.condition_id}/${row.rule_id}`);
+            rule.addCriterion(new RuleCriterion({ ...row, rule_id: ruleId }));
+        }
+    }
+
+    /**
+     * Tightening = the national rule plus extra AND groups, for this jurisdiction only.
+     * The national rule is excluded there and a scoped copy takes its place.
+     */
+    tightenRule(tightening, code) {
+        const [base] = this.findOverlayTargets(tightening, code);
+        const cond = this.conditions.get(base.conditionId);
+
+        const copy = new ReportabilityRule(`${code}-${base.id}`, base.conditionId, base.name, base.description, {
+            requires_clinical_evidence: String(base.requiresClinicalEvidence)
+        });
+        copy.jurisdictions = new Set([code]);
+        for (const [groupId, criteria] of Object.entries(base.criteriaGroups)) {
+            copy.criteriaGroups[groupId] = [...criteria];
+        }
+        for (const row of tightening.criteria || []) {
+            copy.addCriterion(new RuleCriterion({
+                ...row,
+                condition_id: base.conditionId,
+                rule_id: copy.id,
+                criteria_group: `${code}-${row.criteria_group}`
+            }));
+        }
+
+        base.excludedJurisdictions.add(code);
+        cond.rules.push(copy);
+    }
 }
@@ -0,0 +1,89 @@
+/**
+ * Minimal UCUM support for quantitative lab thresholds.
+ *
+ * Only the units lab results are commonly reported in are known. Each unit maps to a
+ * dimension and a factor to that dimension's base unit, so two quantities can be
+ * compared when they share a dimension (e.g. ug/dL vs ug/L, mmol/L vs umol/L).
+ * Molar and mass concentrations are different dimensions and never convert.
+ */
+
+const UCUM_UNITS = {
+    // Mass concentration (base g/L)
+    'g/L': ['mass_concentration', 1],
+    'g/dL': ['mass_concentration', 10],
+    'g/mL': ['mass_concentration', 1e3],
+    'mg/mL': ['mass_concentration', 1],
+    'mg/dL': ['mass_concentration', 1e-2],
+    'mg/L': ['mass_concentration', 1e-3],
+    'ug/mL': ['mass_concentration', 1e-3],
+    'ug/dL': ['mass_concentration', 1e-5],
+    'ug/L': ['mass_concentration', 1e-6],
+    'ng/mL': ['mass_concentration', 1e-6],
+    'ng/dL': ['mass_concentration', 1e-8],
+    'ng/L': ['mass_concentration', 1e-9],
+    'pg/mL': ['mass_concentration', 1e-9],
+
+    // Substance concentration (base mol/L)
+    'mol/L': ['substance_concentration', 1],
+    'mmol/L': ['substance_concentration', 1e-3],
+    'umol/L': ['substance_concentration', 1e-6],
+    'nmol/L': ['substance_concentration', 1e-9],
+    'pmol/L': ['substance_concentration', 1e-12],
+
+    // Fractions (base 1), e.g. carboxyhemoglobin %
+    '%': ['fraction', 1e-2],
+    '[ppm]': ['fraction', 1e-6],
+    '[ppb]': ['fraction', 1e-9],
+
+    // Catalytic / arbitrary activity (base U/L)
+    'U/L': ['activity_concentration', 1],
+    'U/mL': ['activity_concentration', 1e3],
+    'mU/mL': ['activity_concentration', 1],
+    'kU/L': ['activity_concentration', 1e3],
+    '[IU]/L': ['activity_concentration', 1],
+    '[IU]/mL': ['activity_concentration', 1e3],
+    '[iU]/L': ['activity_concentration', 1],
+    '[iU]/mL': ['activity_concentration', 1e3],
+
+    // Number concentration (base /L)
+    '/L': ['number_concentration', 1],
+    '/uL': ['number_concentration', 1e6],
+    '/mm3': ['number_concentration', 1e6],
+    '10*3/uL': ['number_concentration', 1e9],
+    '10*9/L': ['number_concentration', 1e9],
+    '10*6/uL': ['number_concentration', 1e12],
+    '10*12/L': ['number_concentration', 1e12]
+};
+
+// Case-insensitive lookup for hand-typed units ("mg/dl", "UG/DL")
+const UNITS_BY_LOWER_CASE = new Map(Object.keys(UCUM_UNITS).map(unit => [unit.toLowerCase(), unit]));
+
+/**
+ * Canonical UCUM code for a unit as typed in the form
+ * @param {string} unit e.g. "µg/dL", "mcg/dl", "ug/dL"
+ * @returns {string|null} Known UCUM code, or null when the unit is not recognised
+ */
+export function normalizeUcumUnit(unit) {
+    const text = String(unit ?? '').trim()
+        .replace(/[µμ]/g, 'u')
+        .replace(/^mcg/i, 'ug')
+        .replace(/\s+/g, '');
+    if (!text) return null;
+    if (UCUM_UNITS[text]) return text;
+    if (text.toLowerCase() === 'ppm') return '[ppm]';
+    if (text.toLowerCase() === 'ppb') return '[ppb]';
+    return UNITS_BY_LOWER_CASE.get(text.toLowerCase()) || null;
+}
+
+/**
+ * Convert a quantity between commensurable units
+ * @returns {number|null} Value in toUnit, or null when either unit is unknown or
+ *   the dimensions differ
+ */
+export function convertQuantity(value, fromUnit, toUnit) {
+    const from = UCUM_UNITS[normalizeUcumUnit(fromUnit)];
+    const to = UCUM_UNITS[normalizeUcumUnit(toUnit)];
+    if (!from || !to || from[0] !== to[0]) return null;
+    // Rounded so 5 ug/dL -> 50 ug/L compares equal to a 50 ug/L threshold
+    return Number((value * from[1] / to[1]).toPrecision(12));
+}
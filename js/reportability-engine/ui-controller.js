@@ -1,3 +1,20 @@
+import { ENCOUNTER_ANCHOR, VALUE_SET_CRITERIA_TYPES } from './models.js';
+
+// Form element each criteria type is entered in; checklist links scroll to its section
+const CRITERIA_FORM_TARGETS = {
+    diagnosis: { elementId: 'diagnosisEvidenceList', label: 'Diagnoses' },
+    problem: { elementId: 'problemEvidenceList', label: 'Problems' },
+    lab_test: { elementId: 'labEvidenceList', label: 'Lab Orders and Results' },
+    lab_order: { elementId: 'labEvidenceList', label: 'Lab Orders and Results' },
+    lab_result: { elementId: 'labEvidenceList', label: 'Lab Orders and Results' },
+    lab_interpretation: { elementId: 'labEvidenceList', label: 'Lab Orders and Results' },
+    medication: { elementId: 'administeredMedicationList', label: 'Medications' },
+    demographic: { elementId: 'patientBirthDate', label: 'Patient Demographics' },
+    demographic_age: { elementId: 'patientBirthDate', label: 'Patient Demographics' },
+    pregnancy: { elementId: 'pregnancyStatus', label: 'Pregnancy Information' },
+    immunization: { elementId: 'immunizationList', label: 'Immunizations' }
+};
+
 /**
  * Manages the UI components for Reportability Feedback
  */
@@ -6,6 +23,18 @@ export class UIController {
         this.badgeElement = null;
         this.panelElement = null;
         this.sidenavItem = null;
+        // Set by the app: (files, mode) => void and () => void
+        this.onRulePackFiles = null;
+        this.onRulePackReset = null;
+        // Set by the app: (file) => void
+        this.onEicrFile = null;
+        // Set by the app: (file) => void, () => void and () => void
+        this.onRrFile = null;
+        this.onViewRr = null;
+        this.onDismissRr = null;
+        this.rrComparison = null; // Inbound RR compared with the form result, if one is loaded
+        this.lastFormResult = null; // Latest live form evaluation
+        this.importedDocument = null; // Summary of the eICR shown instead of the form, if any
         this.initBadge();
         this.initPanel();
         this.initSidenavItem();
@@ -61,12 +90,106 @@ export class UIController {
                 <button id="close-panel-btn" style="background:none; border:none; font-size:1.2rem; cursor:pointer;">&times;</button>
             </div>
             <div id="reportability-content"></div>
+            <div id="eicr-import-section" style="margin-top:24px; padding-top:12px; border-top:1px solid #e2e8f0; font-size:0.8rem; color:#64748b;">
+                <div style="font-weight:600; text-transform:uppercase; letter-spacing:0.05em; margin-bottom:4px;">eICR Document</div>
+                <div>Evaluate an existing eICR instead of the form.</div>
+                <button id="eicr-import-btn" type="button" style="margin-top:8px; font-size:0.8rem; padding:4px 8px; cursor:pointer;">Evaluate eICR XML...</button>
+                <input type="file" id="eicr-import-input" accept=".xml" style="display:none;">
+                <div style="margin-top:8px;">Compare a partner's Reportability Response with the form.</div>
+                <button id="rr-import-btn" type="button" style="margin-top:8px; font-size:0.8rem; padding:4px 8px; cursor:pointer;">Load RR XML...</button>
+                <input type="file" id="rr-import-input" accept=".xml" style="display:none;">
+            </div>
+            <div id="rule-pack-section" style="margin-top:24px; padding-top:12px; border-top:1px solid #e2e8f0; font-size:0.8rem; color:#64748b;">
+                <div style="font-weight:600; text-transform:uppercase; letter-spacing:0.05em; margin-bottom:4px;">Rule Set</div>
+                <div id="rule-pack-label" style="color:#1e293b;"></div>
+                <div style="display:flex; gap:6px; align-items:center; margin-top:8px;">
+                    <select id="rule-pack-mode" style="font-size:0.8rem; padding:4px;">
+                        <option value="merge" selected>Merge with embedded</option>
+                        <option value="replace">Replace embedded</option>
+                    </select>
+                    <button id="rule-pack-import-btn" type="button" style="font-size:0.8rem; padding:4px 8px; cursor:pointer;">Import...</button>
+                    <button id="rule-pack-reset-btn" type="button" style="font-size:0.8rem; padding:4px 8px; cursor:pointer; display:none;">Reset</button>
+                </div>
+                <div id="rule-pack-dropzone" style="margin-top:8px; padding:10px; border:1px dashed #cbd5e1; border-radius:6px; text-align:center;">
+                    Drop conditions/rules/criteria CSVs or a JSON rule pack here
+                </div>
+                <input type="file" id="rule-pack-input" accept=".csv,.json" multiple style="display:none;">
+            </div>
         `;
 
         document.body.appendChild(this.panelElement);
 
         const closeBtn = this.panelElement.querySelector('#close-panel-btn');
         closeBtn.onclick = () => this.togglePanel(false);
+
+        this.initRulePackControls();
+        this.initEicrImportControls();
+    }
+
+    initRulePackControls() {
+        const input = this.panelElement.querySelector('#rule-pack-input');
+        const modeSelect = this.panelElement.querySelector('#rule-pack-mode');
+        const dropzone = this.panelElement.querySelector('#rule-pack-dropzone');
+
+        const submitFiles = (files) => {
+            if (files && files.length > 0 && this.onRulePackFiles) {
+                this.onRulePackFiles(Array.from(files), modeSelect.value);
+            }
+        };
+
+        this.panelElement.querySelector('#rule-pack-import-btn').onclick = () => input.click();
+        input.onchange = () => {
+            submitFiles(input.files);
+            input.value = '';
+        };
+
+        this.panelElement.querySelector('#rule-pack-reset-btn').onclick = () => {
+            if (this.onRulePackReset) this.onRulePackReset();
+        };
+
+        dropzone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            dropzone.style.background = '#eff6ff';
+            dropzone.style.borderColor = '#3b82f6';
+        });
+        dropzone.addEventListener('dragleave', () => {
+            dropzone.style.background = '';
+            dropzone.style.borderColor = '#cbd5e1';
+        });
+        dropzone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            dropzone.style.background = '';
+            dropzone.style.borderColor = '#cbd5e1';
+            submitFiles(e.dataTransfer?.files);
+        });
+    }
+
+    initEicrImportControls() {
+        const input = this.panelElement.querySelector('#eicr-import-input');
+        this.panelElement.querySelector('#eicr-import-btn').onclick = () => input.click();
+        input.onchange = () => {
+            if (input.files.length > 0 && this.onEicrFile) this.onEicrFile(input.files[0]);
+            input.value = '';
+        };
+
+        const rrInput = this.panelElement.querySelector('#rr-import-input');
+        this.panelElement.querySelector('#rr-import-btn').onclick = () => rrInput.click();
+        rrInput.onchange = () => {
+            if (rrInput.files.length > 0 && this.onRrFile) this.onRrFile(rrInput.files[0]);
+            rrInput.value = '';
+        };
+    }
+
+    /**
+     * Show which rule set the engine is using
+     * @param {string} label Version label from describeRulePack()
+     * @param {boolean} isCustom True when an imported rule pack is active
+     */
+    setRulePackLabel(label, isCustom) {
+        const labelEl = this.panelElement.querySelector('#rule-pack-label');
+        labelEl.textContent = label;
+        labelEl.style.fontWeight = isCustom ? '600' : '400';
+        this.panelElement.querySelector('#rule-pack-reset-btn').style.display = isCustom ? 'inline-block' : 'none';
     }
 
     initSidenavItem() {
@@ -213,7 +336,138 @@ export class UIController {
             }
         }
 
-        // 2. Update Panel Title based on status
+        // 2. Update Panel, unless it is showing an imported eICR
+        this.lastFormResult = evaluationResult;
+        if (!this.importedDocument) {
+            this.renderPanel(evaluationResult);
+        }
+    }
+
+    /**
+     * Show the evaluation of an imported eICR in the panel until the user goes back
+     * to the form results. The badge keeps describing the form.
+     * @param {Object} evaluationResult Engine result for the document
+     * @param {Object} documentInfo document part of parseEicrXml()
+     */
+    showImportedResult(evaluationResult, documentInfo) {
+        this.importedDocument = documentInfo;
+        this.renderPanel(evaluationResult);
+
+        const contentDiv = this.panelElement.querySelector('#reportability-content');
+        contentDiv.prepend(this.renderImportedBanner(documentInfo));
+        this.togglePanel(true);
+    }
+
+    clearImportedResult() {
+        this.importedDocument = null;
+        if (this.lastFormResult) {
+            this.renderPanel(this.lastFormResult);
+        } else {
+            this.panelElement.querySelector('#reportability-content').innerHTML = '';
+        }
+    }
+
+    renderImportedBanner(documentInfo) {
+        const banner = document.createElement('div');
+        banner.style.cssText = 'background:#eff6ff; border:1px solid #bfdbfe; border-radius:6px; padding:10px; font-size:0.85rem; color:#1e293b;';
+
+        const docId = [documentInfo.id.root, documentInfo.id.extension].filter(Boolean).join(' / ');
+        const triggers = documentInfo.triggers.map(t => `
+            <li style="margin-bottom:4px;">
+                <strong>${this.escapeHtml(t.displayName || t.code)}</strong> (${this.escapeHtml(t.code)})<br>
+                <span style="color:#64748b; font-size:0.75rem;">${this.escapeHtml(t.templateName)}${t.valueSet ? ` &middot; value set ${this.escapeHtml(t.valueSet)}` : ''}</span>
+            </li>
+        `).join('');
+
+        banner.innerHTML = `
+            <div style="font-weight:600; color:#1d4ed8; margin-bottom:4px;">Imported eICR</div>
+            <div>${this.escapeHtml(documentInfo.title || 'Untitled document')}</div>
+            <div style="color:#64748b; font-size:0.75rem;">
+                Patient: ${this.escapeHtml(documentInfo.patientName || 'unknown')}<br>
+                Document: ${this.escapeHtml(docId || 'no id')}${documentInfo.versionNumber ? ` (version ${this.escapeHtml(documentInfo.versionNumber)})` : ''}
+            </div>
+            <div style="margin-top:8px; font-weight:600;">Trigger codes in document</div>
+            ${triggers
+                ? `<ul style="margin:4px 0 0 0; padding-left:18px;">${triggers}</ul>`
+                : '<div style="color:#64748b; font-style:italic;">None - the document has no trigger code templates</div>'}
+            <button type="button" class="eicr-back-btn" style="margin-top:8px; font-size:0.8rem; padding:4px 8px; cursor:pointer;">Back to form results</button>
+        `;
+        banner.querySelector('.eicr-back-btn').onclick = () => this.clearImportedResult();
+        return banner;
+    }
+
+    /**
+     * Set (or clear with null) the inbound RR comparison shown above the form results.
+     * The panel re-renders on the next updateUI(); the app recomputes the comparison
+     * for every form evaluation.
+     * @param {Object|null} comparison {rr, fileName, eicrMatch, rows, missing, differences}
+     */
+    setRrComparison(comparison) {
+        this.rrComparison = comparison;
+    }
+
+    renderRrComparison(comparison) {
+        const block = document.createElement('div');
+        block.style.cssText = 'background:#f8fafc; border:1px solid #cbd5e1; border-radius:6px; padding:10px; margin-bottom:12px; font-size:0.85rem; color:#1e293b;';
+
+        const eicr = comparison.rr.eicr;
+        const eicrText = {
+            match: 'Responds to the eICR in the form',
+            otherVersion: `Responds to version ${eicr?.versionNumber || '?'} of this eICR, not the one in the form`,
+            mismatch: 'Responds to a different eICR than the one in the form',
+            unknown: 'Does not identify the eICR it responds to'
+        }[comparison.eicrMatch];
+        const eicrColor = comparison.eicrMatch === 'match' ? '#64748b' : '#b45309';
+        const status = comparison.rr.processingStatus;
+
+        const rows = comparison.rows.map(row => {
+            const jurisdiction = row.jurisdiction.code || row.jurisdiction.name;
+            const timeframe = row.reportingTimeframe ? ` &middot; report within ${this.escapeHtml(`${row.reportingTimeframe.value} ${row.reportingTimeframe.unit}`)}` : '';
+            return `
+                <li style="margin-bottom:6px; padding:4px 6px; border-radius:4px; ${row.differs ? 'background:#fef3c7; border-left:3px solid #d97706;' : ''}">
+                    <strong>${this.escapeHtml(row.conditionName || row.conditionCode)}</strong>${jurisdiction ? ` (${this.escapeHtml(jurisdiction)})` : ''}<br>
+                    <span style="font-size:0.75rem;">
+                        Partner: ${this.escapeHtml(row.determination.displayName)} &middot;
+                        Local: ${this.escapeHtml(row.local.displayName)}${timeframe}
+                    </span>
+                    ${row.differs ? '<div style="font-size:0.75rem; font-weight:600; color:#b45309;">Determinations differ</div>' : ''}
+                    ${row.jurisdictionUnknown ? '<div style="font-size:0.75rem; color:#64748b;">The agency matches no configured jurisdiction; not compared</div>' : ''}
+                </li>
+            `;
+        }).join('');
+        const missing = comparison.missing.map(c => `
+            <li style="margin-bottom:6px; padding:4px 6px; border-radius:4px; background:#fef3c7; border-left:3px solid #d97706;">
+                <strong>${this.escapeHtml(c.conditionName)}</strong><br>
+                <span style="font-size:0.75rem;">Partner: not in RR &middot; Local: Reportable</span>
+            </li>
+        `).join('');
+
+        block.innerHTML = `
+            <div style="font-weight:600; color:#334155; margin-bottom:4px;">Inbound Reportability Response</div>
+            <div style="color:#64748b; font-size:0.75rem;">
+                ${this.escapeHtml(comparison.fileName)}${status ? ` &middot; ${this.escapeHtml(status.displayName || status.code)}` : ''}
+            </div>
+            <div style="color:${eicrColor}; font-size:0.75rem;">${this.escapeHtml(eicrText)}</div>
+            <div style="margin-top:6px; font-weight:600; color:${comparison.differences > 0 ? '#b45309' : '#15803d'};">
+                ${comparison.differences > 0
+                    ? `${comparison.differences} difference${comparison.differences === 1 ? '' : 's'} from the local engine`
+                    : 'Agrees with the local engine'}
+            </div>
+            ${rows || missing
+                ? `<ul style="list-style:none; margin:6px 0 0 0; padding:0;">${rows}${missing}</ul>`
+                : '<div style="color:#64748b; font-style:italic;">No determinations in the RR</div>'}
+            <div style="display:flex; gap:6px; margin-top:8px;">
+                <button type="button" class="rr-view-btn" style="font-size:0.8rem; padding:4px 8px; cursor:pointer;">View RR document</button>
+                <button type="button" class="rr-dismiss-btn" style="font-size:0.8rem; padding:4px 8px; cursor:pointer;">Dismiss</button>
+            </div>
+        `;
+        block.querySelector('.rr-view-btn').onclick = () => this.onViewRr && this.onViewRr();
+        block.querySelector('.rr-dismiss-btn').onclick = () => this.onDismissRr && this.onDismissRr();
+        return block;
+    }
+
+    renderPanel(evaluationResult) {
+        // 1. Update Panel Title based on status
         const panelTitle = this.panelElement.querySelector('#panel-title');
         if (evaluationResult.isReportable) {
             const condNames = evaluationResult.triggeredConditions.map(c => c.conditionName);
@@ -226,7 +480,7 @@ export class UIController {
             panelTitle.textContent = 'Reportability Status';
         }
 
-        // 3. Update Panel Content
+        // 2. Update Panel Content
         const contentDiv = this.panelElement.querySelector('#reportability-content');
         contentDiv.innerHTML = '';
 
@@ -239,6 +493,11 @@ export class UIController {
         } else if (!evaluationResult.isReportable) {
             contentDiv.innerHTML += `<p style="color:#64748b; font-style:italic;">No reportable conditions detected based on current patient data.</p>`;
         }
+
+        // The RR is compared with the form, not with an imported eICR
+        if (this.rrComparison && !this.importedDocument) {
+            contentDiv.prepend(this.renderRrComparison(this.rrComparison));
+        }
     }
 
     renderSection(container, title, conditions, color) {
@@ -256,6 +515,15 @@ export class UIController {
             condTitle.style.cssText = 'font-weight:bold; font-size:1rem; color:#1e293b; margin-bottom:8px;';
             card.appendChild(condTitle);
 
+            if (c.jurisdictions && c.jurisdictions.length > 0) {
+                const jurisdictionDiv = document.createElement('div');
+                jurisdictionDiv.style.cssText = 'font-size:0.8rem; color:#475569; margin-bottom:6px;';
+                jurisdictionDiv.textContent = 'Reportable to: ' + c.jurisdictions
+                    .map(j => `${j.name}${j.name !== j.code ? ` (${j.code})` : ''} - ${j.basis.join(' & ')}`)
+                    .join('; ');
+                card.appendChild(jurisdictionDiv);
+            }
+
             // Matched Rules with criteria details
             if (c.matchedRules && c.matchedRules.length > 0) {
                 c.matchedRules.forEach(r => {
@@ -286,8 +554,10 @@ export class UIController {
                     ruleDiv.innerHTML = ruleContent;
                     card.appendChild(ruleDiv);
                 });
-            } else {
+            } else if (c.partialRules && c.partialRules.length > 0) {
                 // For partial matches, show what's missing
+                c.partialRules.forEach(r => card.appendChild(this.renderWhyNotChecklist(r)));
+            } else {
                 const partialDiv = document.createElement('div');
                 partialDiv.style.cssText = 'margin-top:4px; font-size:0.8rem; color:#64748b;';
                 partialDiv.textContent = 'Some criteria met but not all required for full reportability.';
@@ -298,10 +568,165 @@ export class UIController {
         });
     }
 
+    /**
+     * "What would make this reportable" checklist for a partially matched rule:
+     * met groups are ticked, each unmet group lists the criteria that would satisfy it
+     */
+    renderWhyNotChecklist(ruleResult) {
+        const ruleDiv = document.createElement('div');
+        ruleDiv.style.cssText = 'margin-top:8px; padding:10px; background:#fff7ed; border-radius:4px; font-size:0.85rem;';
+
+        const title = document.createElement('div');
+        title.textContent = `What would make this reportable: ${ruleResult.ruleDescription || ruleResult.ruleName || `Rule ${ruleResult.ruleId}`}`;
+        title.style.cssText = 'font-weight:600; color:#9a3412; margin-bottom:6px;';
+        ruleDiv.appendChild(title);
+
+        const list = document.createElement('ul');
+        list.style.cssText = 'list-style:none; margin:0; padding:0;';
+
+        (ruleResult.groups || []).forEach(g => {
+            const item = document.createElement('li');
+            item.style.cssText = 'margin:4px 0; padding:4px 8px; background:rgba(255,255,255,0.7); border-radius:3px;';
+
+            if (g.passed) {
+                item.style.borderLeft = '3px solid #4caf50';
+                item.innerHTML = `&#9745; ${this.formatMatchDescription(g.matchedCriterion, g.matchedData)}`;
+            } else {
+                item.style.borderLeft = '3px solid #d97706';
+                const unmet = g.unmetCriteria || [];
+                const heading = document.createElement('div');
+                heading.innerHTML = `&#9744; <strong>Missing${unmet.length > 1 ? ' (any one of)' : ''}:</strong>`;
+                item.appendChild(heading);
+
+                const options = document.createElement('ul');
+                options.style.cssText = 'margin:2px 0 0 18px; padding:0; color:#475569; font-size:0.8rem;';
+                unmet.forEach(criterion => options.appendChild(this.renderUnmetCriterion(criterion)));
+                item.appendChild(options);
+            }
+            list.appendChild(item);
+        });
+
+        ruleDiv.appendChild(list);
+        return ruleDiv;
+    }
+
+    renderUnmetCriterion(criterion) {
+        const li = document.createElement('li');
+
+        // RCTC has no codes for some criteria (exposures, travel...) - nothing to enter
+        const oids = criterion.valueSetOids || [];
+        const needsCodes = VALUE_SET_CRITERIA_TYPES.includes(criterion.type);
+        if (needsCodes && (oids.length === 0 || oids.some(oid => /not implemented/i.test(oid)))) {
+            li.textContent = `${this.cleanValueSetName(criterion.valueSetName) || criterion.type} - no codes available, confirm manually`;
+            li.style.fontStyle = 'italic';
+            return li;
+        }
+
+        const timeWindow = this.describeTimeWindow(criterion);
+        li.textContent = this.describeUnmetCriterion(criterion) + (timeWindow ? ` (${timeWindow})` : '') + ' ';
+
+        const target = CRITERIA_FORM_TARGETS[criterion.type];
+        if (target) {
+            const link = document.createElement('a');
+            link.href = '#';
+            link.textContent = `Go to ${target.label}`;
+            link.style.cssText = 'color:#2563eb; font-size:0.75rem;';
+            link.onclick = (e) => {
+                e.preventDefault();
+                this.scrollToFormSection(target.elementId);
+            };
+            li.appendChild(link);
+        }
+        return li;
+    }
+
+    /**
+     * Plain text for a criterion nothing in the form satisfied
+     */
+    describeUnmetCriterion(criterion) {
+        const valueSet = this.cleanValueSetName(criterion.valueSetName) || criterion.valueSetOid;
+        switch (criterion.type) {
+            case 'diagnosis':
+                return `Diagnosis in ${valueSet}`;
+            case 'problem':
+                return `Problem in ${valueSet}` + (criterion.value && !criterion.ignoreStatus ? ` [${criterion.value}]` : '');
+            case 'lab_test':
+            case 'lab_order':
+                return `Lab test in ${valueSet}`;
+            case 'lab_result':
+                if (criterion.threshold) {
+                    const { low, high, unit } = criterion.threshold;
+                    const limit = high !== null ? `${low}..${high}` : low;
+                    return `Lab result ${criterion.operator} ${limit}${unit ? ' ' + unit : ''} for a test in ${valueSet}`;
+                }
+                return `Lab result in ${valueSet}`;
+            case 'lab_interpretation':
+                return criterion.operator === 'in' && criterion.value
+                    ? `Lab interpretation of ${criterion.value.toUpperCase().split(';').join(', ')}`
+                    : 'Abnormal lab interpretation';
+            case 'medication':
+                return `Medication in ${valueSet}`;
+            case 'immunization':
+                return criterion.operator === 'in' && criterion.value
+                    ? `Vaccine with CVX ${criterion.value.split(';').join(', ')}`
+                    : `Vaccine in ${valueSet}`;
+            case 'demographic':
+            case 'demographic_age':
+                if (!criterion.ageLimit) return criterion.valueSetName || 'Patient age';
+                return `Patient age ${criterion.operator === 'age_less_than' ? '<' : criterion.operator} ` +
+                    `${criterion.ageLimit.value} ${criterion.ageLimit.unit}`;
+            case 'pregnancy':
+                return `Pregnancy status in ${valueSet}`;
+            default:
+                return valueSet || criterion.type;
+        }
+    }
+
+    /**
+     * Scroll the form to the section containing a field (its h2 is the sidenav anchor)
+     */
+    scrollToFormSection(elementId) {
+        const element = document.getElementById(elementId);
+        if (!element) return;
+        const heading = element.closest('.section')?.querySelector('h2');
+        (heading || element).scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
     /**
      * Create a human-readable description of what matched
      */
     formatMatchDescription(criterion, matchedData) {
+        const description = this.formatMatchedEvidence(criterion, matchedData);
+        const timeWindow = this.describeTimeWindow(criterion);
+        if (!timeWindow) return description;
+
+        const when = matchedData?.date ? `${matchedData.date.replace('T', ' ')}, ` : '';
+        return `${description} <span style="color:#666;">[${this.escapeHtml(when + timeWindow)}]</span>`;
+    }
+
+    /**
+     * Plain-language time window of a criterion, e.g. "within 14 days of encounter".
+     * Works on the structured-cloned criterion (no RuleCriterion methods).
+     */
+    describeTimeWindow(criterion) {
+        const before = criterion.windowDaysBefore ?? null;
+        const after = criterion.windowDaysAfter ?? null;
+        if (before === null && after === null) return '';
+
+        const anchor = !criterion.timeAnchor || criterion.timeAnchor === ENCOUNTER_ANCHOR
+            ? 'encounter'
+            : `group ${criterion.timeAnchor} evidence`;
+        const days = n => `${n} day${n === 1 ? '' : 's'}`;
+
+        if (before !== null && before === after) return `within ${days(before)} of ${anchor}`;
+        if (before === 0 && after === null) return `on or after ${anchor}`;
+        if (before === null && after === 0) return `on or before ${anchor}`;
+        if (after === null) return `no earlier than ${days(before)} before ${anchor}`;
+        if (before === null) return `no later than ${days(after)} after ${anchor}`;
+        return `${days(before)} before to ${days(after)} after ${anchor}`;
+    }
+
+    formatMatchedEvidence(criterion, matchedData) {
         if (!matchedData) {
             // Fallback to just showing value set name
             if (criterion.valueSetName) {
@@ -329,14 +754,29 @@ export class UIController {
                 if (matchedData.resultDisplay) {
                     resultText += ` - ${matchedData.resultDisplay}`;
                 }
+                if (matchedData.threshold) {
+                    resultText += ` <span style="color:#666;">(criterion: ${this.escapeHtml(matchedData.threshold)})</span>`;
+                }
                 return resultText;
 
+            case 'lab_interpretation':
+                return `<strong>Lab Interpretation:</strong> ${matchedData.testDisplay || 'Lab test'} - ${matchedData.interpretationDisplay}` +
+                    ` <span style="color:#666;">(${matchedData.interpretation})</span>`;
+
+            case 'pregnancy':
+                return `<strong>Pregnancy:</strong> ${matchedData.display}` +
+                    (matchedData.code ? ` <span style="color:#666;">(${matchedData.code})</span>` : '');
+
             case 'medication':
                 return `<strong>Medication:</strong> ${matchedData.display}` +
                     (matchedData.code ? ` <span style="color:#666;">(${matchedData.code})</span>` : '');
 
+            case 'immunization':
+                return `<strong>Immunization:</strong> ${matchedData.display}` +
+                    (matchedData.code ? ` <span style="color:#666;">(CVX ${matchedData.code})</span>` : '');
+
             case 'age':
-                return `<strong>Age:</strong> Patient is ${matchedData.patientAge} years old ` +
+                return `<strong>Age:</strong> Patient is ${matchedData.patientAge} ${matchedData.unit} old ` +
                     `(criterion: ${matchedData.operator} ${matchedData.limit} ${matchedData.unit})`;
 
             default:
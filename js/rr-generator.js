@@ -9,26 +9,403 @@
  *
  * Dependencies:
  * - form-handlers.js (getFormData)
- * - xml-builders.js (xmlEscape, generateGUID, mapInterp)
+ * - config.js (RR_JURISDICTIONS)
+ * - xml-builders.js (xmlEscape, generateGUID)
+ * - reportability-engine/main.js (window.evaluateReportability)
  * - file-downloaders.js (generateDynamicFilename)
- * - validation.js (validateFormData)
+ * - validation.js (runFormValidation, validateFormData, formatValidationIssue)
+ * - eicr-history.js (recordGeneratedEICR)
+ * - eicr-schematron.js (checkGeneratedEICRXml)
  * - xslt-processor.js (fetchXslt, xmlToHtml, debugXmlStructure, validateXMLComments)
  *
  * @medical-software CRITICAL - Preserve all XML structure and validation logic
  */
 
+/**
+ * Reportability determinations, by reportability engine outcome.
+ * R1..R3 are carried with their PHIN VS (RRVS) equivalents as translations.
+ */
+const RR_DETERMINATIONS = {
+  reportable:      { code: 'R1', displayName: 'Reportable',        rrvs: 'RRVS1',
+                     reason: 'The eICR meets the reporting criteria of this jurisdiction' },
+  mayBeReportable: { code: 'R2', displayName: 'May be reportable', rrvs: 'RRVS2',
+                     reason: 'Some reporting criteria are met; the eICR lacks information the remaining criteria require' },
+  notReportable:   { code: 'R3', displayName: 'Not reportable',    rrvs: 'RRVS3',
+                     reason: 'The eICR does not meet the reporting criteria of this jurisdiction' }
+};
+
+// Location relevance of a Reportability Information Organizer, by jurisdiction basis
+const RR_LOCATION_RELEVANCE = {
+  residence: { code: 'RRVS5', displayName: 'Patient home address' },
+  facility:  { code: 'RRVS6', displayName: 'Provider facility address' },
+  both:      { code: 'RRVS7', displayName: 'Both patient home address and provider facility address' }
+};
+
+// eICR Processing Status, from the validation of the form the eICR was built from
+const RR_PROCESSING_STATUS = {
+  processed:        { code: 'RRVS19', displayName: 'eICR was processed' },
+  processedWarning: { code: 'RRVS20', displayName: 'eICR was processed - with a warning' },
+  notProcessed:     { code: 'RRVS21', displayName: 'eICR was not processed - validation failed' }
+};
+
+// Code system of each kind of matched evidence (see matchedData in evaluator.js)
+const RR_EVIDENCE_CODE_SYSTEMS = {
+  diagnosis:    '2.16.840.1.113883.6.96',   // SNOMED CT (ICD-10-CM detected by format)
+  problem:      '2.16.840.1.113883.6.96',
+  pregnancy:    '2.16.840.1.113883.6.96',
+  lab_test:     '2.16.840.1.113883.6.1',    // LOINC
+  medication:   '2.16.840.1.113883.6.88',   // RxNorm
+  immunization: '2.16.840.1.113883.12.292'  // CVX
+};
+
+/**
+ * Evaluate the form with the reportability engine for the RR. This is a one-off
+ * evaluation: it leaves the panel's live evaluation alone.
+ *
+ * @param {object} data - Canonical form data (getFormData())
+ * @returns {Promise<object>} Engine evaluation result
+ */
+async function evaluateReportabilityForRR(data) {
+  if (typeof window.evaluateReportability !== 'function') {
+    throw new Error('The reportability engine is not loaded yet');
+  }
+  return window.evaluateReportability(data);
+}
+
+/**
+ * One determination per condition the engine evaluated: triggered conditions are
+ * reportable, partial matches may be reportable, and conditions whose codes were
+ * present but matched no rule are not reportable.
+ *
+ * @param {object} evaluation - Engine evaluation result
+ * @returns {Array<{conditionId, name, code, determination, jurisdictions, rules, evidence}>}
+ */
+function collectRRDeterminations(evaluation) {
+  const patientJurisdictions = evaluation.jurisdictions || [];
+  const jurisdictionsFor = rules => patientJurisdictions.filter(j =>
+    rules.some(r => (r.reportableTo || []).includes(j.code)));
+
+  const toDetermination = (cond, determination, rules, jurisdictions) => ({
+    conditionId: cond.conditionId,
+    name: cond.conditionName,
+    code: cond.conditionCode || '',
+    determination: determination,
+    jurisdictions: jurisdictions,
+    rules: rules.map(r => r.ruleName || r.ruleDescription || `Rule ${r.ruleId}`),
+    evidence: collectMatchedEvidence(rules)
+  });
+
+  return [
+    ...evaluation.triggeredConditions.map(c =>
+      toDetermination(c, RR_DETERMINATIONS.reportable, c.matchedRules, c.jurisdictions)),
+    ...evaluation.potentialConditions.map(c =>
+      toDetermination(c, RR_DETERMINATIONS.mayBeReportable, c.partialRules, jurisdictionsFor(c.partialRules))),
+    ...(evaluation.notReportableConditions || []).map(c =>
+      toDetermination(c, RR_DETERMINATIONS.notReportable, [], patientJurisdictions))
+  ];
+}
+
+/**
+ * Patient data that satisfied the passed criteria groups of the given rules,
+ * de-duplicated (several rules usually match on the same lab or diagnosis)
+ */
+function collectMatchedEvidence(rules) {
+  const byKey = new Map();
+  rules.forEach(rule => (rule.groups || []).forEach(group => {
+    const m = group.passed && group.matchedData;
+    if (!m) return;
+    const key = [m.type, m.code, m.testCode, m.resultCode, m.resultDisplay, m.interpretation, m.date].join('|');
+    if (!byKey.has(key)) byKey.set(key, m);
+  }));
+  return Array.from(byKey.values());
+}
+
+/**
+ * Supporting (SPRT) observation for one piece of matched evidence
+ */
+function buildRREvidenceObservation(ev, x, guid) {
+  const time = ev.date ? `<effectiveTime value="${x(ev.date.replace(/[-:T]/g, ''))}"/>` : '';
+  const codeSystemOf = code => (ev.type === 'diagnosis' || ev.type === 'problem') && /^[A-Z]\d/i.test(code || '')
+    ? '2.16.840.1.113883.6.90'   // ICD-10-CM
+    : RR_EVIDENCE_CODE_SYSTEMS[ev.type];
+  let code;
+  let value = '';
+
+  switch (ev.type) {
+    case 'lab_result':
+    case 'lab_interpretation':
+      code = `<code code="${x(ev.testCode)}" codeSystem="2.16.840.1.113883.6.1" displayName="${x(ev.testDisplay)}"/>`;
+      if (ev.type === 'lab_interpretation') {
+        value = `<interpretationCode code="${x(ev.interpretation)}" codeSystem="2.16.840.1.113883.5.83" displayName="${x(ev.interpretationDisplay)}"/>`;
+      } else if (ev.resultCode) {
+        value = `<value xsi:type="CD" code="${x(ev.resultCode)}" codeSystem="2.16.840.1.113883.6.96" displayName="${x(ev.resultDisplay)}"/>`;
+      } else if (ev.resultDisplay) {
+        value = `<value xsi:type="ST">${x(ev.resultDisplay)}</value>`;
+      }
+      break;
+    case 'age':
+      code = `<code code="30525-0" codeSystem="2.16.840.1.113883.6.1" displayName="Age"/>`;
+      value = `<value xsi:type="PQ" value="${x(String(ev.patientAge))}" unit="${x({ days: 'd', weeks: 'wk', months: 'mo' }[ev.unit] || 'a')}"/>`;
+      break;
+    case 'lab_test':
+      code = `<code code="${x(ev.code)}" codeSystem="2.16.840.1.113883.6.1" displayName="${x(ev.display)}"/>`;
+      break;
+    case 'medication':
+    case 'immunization':
+      code = `<code code="${x(ev.code)}" codeSystem="${RR_EVIDENCE_CODE_SYSTEMS[ev.type]}" displayName="${x(ev.display)}"/>`;
+      break;
+    default: // diagnosis, problem, pregnancy: coded finding as the observation value
+      code = `<code code="75321-0" codeSystem="2.16.840.1.113883.6.1" displayName="Clinical finding"/>`;
+      value = `<value xsi:type="CD" code="${x(ev.code)}" codeSystem="${codeSystemOf(ev.code)}" displayName="${x(ev.display)}"/>`;
+  }
+
+  return `
+          <entryRelationship typeCode="SPRT">
+            <observation classCode="OBS" moodCode="EVN">
+              <id root="${guid()}"/>
+              ${code}
+              <statusCode code="completed"/>
+              ${time}
+              ${value}
+            </observation>
+          </entryRelationship>`;
+}
+
+/**
+ * Plain text for one piece of matched evidence (RR narrative table)
+ */
+function describeRREvidence(ev) {
+  switch (ev.type) {
+    case 'lab_result':
+      return `${ev.testDisplay}: ${ev.resultDisplay}${ev.threshold ? ` (${ev.threshold})` : ''}`;
+    case 'lab_interpretation':
+      return `${ev.testDisplay}: ${ev.interpretationDisplay || ev.interpretation}`;
+    case 'age':
+      return `Age ${ev.patientAge} ${ev.unit}`;
+    default:
+      return `${ev.display || ev.code} (${ev.code})`;
+  }
+}
+
+/**
+ * RR metadata of a jurisdiction: RR_JURISDICTIONS (config.js) entry, with the
+ * agencies defaulting to the jurisdiction's health department
+ *
+ * @param {object} j - Jurisdiction from the engine result ({ code, name, basis })
+ * @param {string} conditionId - Condition the timeframe is looked up for
+ */
+function getRRJurisdictionInfo(j, conditionId) {
+  const config = (typeof RR_JURISDICTIONS !== 'undefined' && RR_JURISDICTIONS[j.code]) || {};
+  const name = config.name || j.name || j.code || 'Unknown';
+  const responsibleAgency = config.responsibleAgency || { name: `${name} Health Department` };
+
+  return {
+    code: j.code,
+    name: name,
+    basis: j.basis || [],
+    responsibleAgency: responsibleAgency,
+    rulesAuthoringAgency: config.rulesAuthoringAgency || responsibleAgency,
+    routingEntity: config.routingEntity || responsibleAgency,
+    reportingTimeframe: (config.conditionTimeframes || {})[conditionId] || config.reportingTimeframe || null,
+    externalResources: [
+      ...((config.conditionResources || {})[conditionId] || []),
+      ...(config.externalResources || [])
+    ]
+  };
+}
+
+/**
+ * Agency participant (Responsible Agency RR8, Rules Authoring Agency RR12,
+ * Routing Entity RR7) of a Reportability Information Organizer
+ */
+function buildRRAgencyParticipant(agency, roleCode, roleName, x) {
+  const addr = agency.address || {};
+  const telecoms = [
+    agency.phone ? `tel:${agency.phone}` : '',
+    agency.email ? `mailto:${agency.email}` : '',
+    agency.url || ''
+  ].filter(Boolean);
+
+  return `
+          <participant typeCode="LOC">
+            <participantRole>
+              ${agency.id ? `<id root="${x(agency.id)}"/>` : '<id nullFlavor="NI"/>'}
+              <code code="${roleCode}" codeSystem="2.16.840.1.114222.4.5.232"
+                    codeSystemName="PHIN Questions" displayName="${roleName}"/>
+              ${agency.address ? `<addr>
+                <streetAddressLine>${x(addr.street)}</streetAddressLine>
+                <city>${x(addr.city)}</city><state>${x(addr.state)}</state>
+                <postalCode>${x(addr.zip)}</postalCode>
+              </addr>` : ''}
+              ${telecoms.map(t => `<telecom value="${x(t)}"/>`).join('\n              ')}
+              <playingEntity>
+                <name>${x(agency.name)}</name>
+              </playingEntity>
+            </participantRole>
+          </participant>`;
+}
+
+/**
+ * Reportability Information Organizer: the determination of one condition for
+ * one jurisdiction, with its agencies, reporting timeframe and external resources
+ */
+function buildRRInformationOrganizer(c, info, rrCreateTS, x, guid) {
+  const result = c.determination;
+  const basis = info.basis;
+  const relevance = basis.includes('residence') && basis.includes('facility')
+    ? RR_LOCATION_RELEVANCE.both
+    : basis.includes('facility') ? RR_LOCATION_RELEVANCE.facility : RR_LOCATION_RELEVANCE.residence;
+  const timeframe = info.reportingTimeframe;
+
+  return `
+        <entryRelationship typeCode="COMP">
+          <organizer classCode="CLUSTER" moodCode="EVN">
+            <!-- Reportability Information Organizer -->
+            <templateId root="2.16.840.1.113883.10.20.15.2.3.13" extension="2017-04-01"/>
+            <id root="${guid()}"/>
+            <code code="${relevance.code}" codeSystem="2.16.840.1.114222.4.5.274"
+                  codeSystemName="PHIN VS (CDC Local Coding System)"
+                  displayName="${relevance.displayName}"/>
+            <statusCode code="completed"/>
+            ${buildRRAgencyParticipant(info.routingEntity, 'RR7', 'Routing Entity', x)}
+            ${buildRRAgencyParticipant(info.responsibleAgency, 'RR8', 'Responsible Agency', x)}
+            ${buildRRAgencyParticipant(info.rulesAuthoringAgency, 'RR12', 'Rules Authoring Agency', x)}
+            <component>
+              <observation classCode="OBS" moodCode="EVN">
+                <!-- Determination of Reportability -->
+                <templateId root="2.16.840.1.113883.10.20.15.2.3.19" extension="2017-04-01"/>
+                <id root="${guid()}"/>
+                <code code="RR1" codeSystem="2.16.840.1.114222.4.5.232"
+                      codeSystemName="PHIN Questions" displayName="Determination of reportability"/>
+                <statusCode code="completed"/>
+                <effectiveTime value="${rrCreateTS}"/>
+                <value xsi:type="CD" code="${result.rrvs}" codeSystem="2.16.840.1.114222.4.5.274"
+                       codeSystemName="PHIN VS (CDC Local Coding System)"
+                       displayName="${result.displayName}">
+                  <translation code="${result.code}" codeSystem="2.16.840.1.114222.4.5.232"
+                               displayName="${result.displayName}"/>
+                </value>
+                <entryRelationship typeCode="RSON">
+                  <observation classCode="OBS" moodCode="EVN">
+                    <!-- Determination of Reportability Reason -->
+                    <templateId root="2.16.840.1.113883.10.20.15.2.3.26" extension="2017-04-01"/>
+                    <id root="${guid()}"/>
+                    <code code="RR2" codeSystem="2.16.840.1.114222.4.5.232"
+                          codeSystemName="PHIN Questions" displayName="Determination of reportability reason"/>
+                    <value xsi:type="ST">${x(result.reason)}</value>
+                  </observation>
+                </entryRelationship>
+                ${c.rules.map(rule => `
+                <entryRelationship typeCode="RSON">
+                  <observation classCode="OBS" moodCode="EVN">
+                    <!-- Determination of Reportability Rule -->
+                    <templateId root="2.16.840.1.113883.10.20.15.2.3.27" extension="2017-04-01"/>
+                    <id root="${guid()}"/>
+                    <code code="RR3" codeSystem="2.16.840.1.114222.4.5.232"
+                          codeSystemName="PHIN Questions" displayName="Determination of reportability rule"/>
+                    <value xsi:type="ST">${x(rule)}</value>
+                  </observation>
+                </entryRelationship>`).join('')}
+                ${c.evidence.map(ev => buildRREvidenceObservation(ev, x, guid)).join('')}
+              </observation>
+            </component>
+            ${timeframe ? `
+            <component>
+              <observation classCode="OBS" moodCode="EVN">
+                <!-- Reporting Timeframe -->
+                <templateId root="2.16.840.1.113883.10.20.15.2.3.14" extension="2017-04-01"/>
+                <id root="${guid()}"/>
+                <code code="RR4" codeSystem="2.16.840.1.114222.4.5.232"
+                      codeSystemName="PHIN Questions" displayName="Timeframe to report (urgency)"/>
+                <value xsi:type="PQ" value="${x(String(timeframe.value))}" unit="${x(timeframe.unit || 'h')}"/>
+              </observation>
+            </component>` : ''}
+            ${info.externalResources.map(res => `
+            <component>
+              <act classCode="ACT" moodCode="EVN">
+                <!-- External Resource -->
+                <templateId root="2.16.840.1.113883.10.20.15.2.3.20" extension="2017-04-01"/>
+                <id root="${guid()}"/>
+                ${res.code
+                  ? `<code code="${x(res.code)}" codeSystem="2.16.840.1.114222.4.5.274" displayName="${x(res.title)}"/>`
+                  : `<code nullFlavor="OTH"><originalText>${x(res.title)}</originalText></code>`}
+                <reference typeCode="REFR">
+                  <externalDocument classCode="DOC" moodCode="EVN">
+                    <code nullFlavor="OTH"><originalText>${x(res.title)}</originalText></code>
+                    <text mediaType="text/html"><reference value="${x(res.url)}"/></text>
+                  </externalDocument>
+                </reference>
+              </act>
+            </component>`).join('')}
+          </organizer>
+        </entryRelationship>`;
+}
+
+/**
+ * eICR Processing Status of the form's validation outcome: blocking errors mean
+ * the eICR failed validation, warnings of the active validation profile are warnings
+ *
+ * @param {object} validation - Result of runFormValidation()
+ * @returns {{status: object, reasons: string[]}}
+ */
+function getRRProcessingStatus(validation) {
+  if (validation.blocking.length > 0) {
+    return { status: RR_PROCESSING_STATUS.notProcessed, reasons: validation.issues.map(formatValidationIssue) };
+  }
+  if (validation.nonBlocking.length > 0) {
+    return { status: RR_PROCESSING_STATUS.processedWarning, reasons: validation.nonBlocking.map(formatValidationIssue) };
+  }
+  return { status: RR_PROCESSING_STATUS.processed, reasons: [] };
+}
+
+/**
+ * Identifiers of the eICR an RR responds to.
+ * Read from the generated eICR when there is one, so the RR references exactly
+ * that document; otherwise derived from the form the way buildEICRXml does.
+ *
+ * @param {string|object} source - eICR XML string, or form data
+ * @returns {{id: {root, extension}, setId: {root, extension}, versionNumber: string}}
+ */
+function getEICRIdentifiers(source) {
+  if (typeof source === 'string') {
+    const doc = new DOMParser().parseFromString(source, 'application/xml');
+    const root = doc.documentElement;
+    const header = name => Array.from(root.childNodes).find(n => n.nodeType === 1 && n.localName === name);
+    const ii = el => ({ root: el?.getAttribute('root') || '', extension: el?.getAttribute('extension') || '' });
+    if (root.localName !== 'ClinicalDocument' || !header('id')) {
+      throw new Error('The eICR has no ClinicalDocument/id to reference');
+    }
+    return {
+      id: ii(header('id')),
+      setId: ii(header('setId')),
+      versionNumber: header('versionNumber')?.getAttribute('value') || ''
+    };
+  }
+
+  return {
+    id: { root: source.documentId || '', extension: '' },
+    setId: { root: '1.2.840.114350.1.13.380.3.7.1.1', extension: getEffectiveSetId(source) || '' },
+    versionNumber: source.versionNumber || ''
+  };
+}
+
 /**
  * Build Reportability Response XML
  *
  * Generates a complete HL7 CDA R2 RR document based on form data.
- * The RR indicates whether conditions in the eICR are reportable
- * to public health authorities.
+ * The RR's Reportability Response Observations come from the reportability
+ * engine: one per evaluated condition, with the matched evidence as
+ * supporting entries.
  *
+ * @param {object} data - Canonical form data (getFormData()) the evaluation ran on
+ * @param {object} evaluation - Engine result (evaluateReportabilityForRR)
+ * @param {object} validation - Result of runFormValidation() for the same form
+ * @param {object} [eicrIds] - getEICRIdentifiers() of the eICR responded to
+ *   (defaults to the identifiers the form data would produce)
  * @returns {string} Complete RR XML document
  */
-function buildRRXml () {
-  const d = getFormData();
-  const labEvidence = (d.labEvidence || []);
+function buildRRXml (data, evaluation, validation, eicrIds) {
+  const eicr = eicrIds || getEICRIdentifiers(data);
   const x = s => xmlEscape(s || '');       // one-letter alias = escape **everything**
   const guid = () => generateGUID();
 
@@ -41,96 +418,98 @@ function buildRRXml () {
                                .substring(0,14) + '-0000';
 
   /* =============== REPORTABLE CONDITIONS =============== */
-  // Grab every diagnosis that has a code + name – you can refine this
-  // to only pull RCTC matches if desired.
-  const conditions = [
-    { code: d.diagnosis1Code, name: d.diagnosis1Name },
-    { code: d.diagnosis2Code, name: d.diagnosis2Name },
-    { code: d.diagnosis3Code, name: d.diagnosis3Name }
-  ].filter(c => c.code && c.name);
-
-  // Very simple classification: everything marked R1 (reportable)
-  // Swap this for your own logic if you also emit R3 / R5 etc.
-  const classify = () => 'R1';                      // R1 = "reportable"
-  const jurisdiction = () => `${x(d.patientCounty)} Health Department`;
-
-  /* ---------- Build <text> table & machine-readable entries ---------- */
-  let condRows   = '';
-  let condEntries = '';
+  const determinations = collectRRDeterminations(evaluation);
+  // Without a patient or facility state the RR still names the patient's state
+  const fallbackJurisdiction = { code: data.patientState || '', name: data.patientState || 'Unknown', basis: ['residence'] };
+  const jurisdictionsOf = c => c.jurisdictions.length > 0 ? c.jurisdictions : [fallbackJurisdiction];
 
-  conditions.forEach((c, idx) => {
-    const resultCode = classify(c);      // e.g. R1, R3 …
-    const entryId    = guid();
+  /* ---------- Narrative grouped by jurisdiction & coded information ---------- */
+  const byJurisdiction = new Map();   // jurisdiction code -> { info, rows }
+  let condEntries = '';
 
-    /* human-readable table row */
-    condRows += `
-      <tr>
-        <td>${x(c.name)}</td>
-        <td>${x(c.code)}</td>
-        <td>${resultCode}</td>
-        <td>${jurisdiction()}</td>
-      </tr>`;
+  determinations.forEach(c => {
+    const organizers = jurisdictionsOf(c).map(j => {
+      const info = getRRJurisdictionInfo(j, c.conditionId);
+      if (!byJurisdiction.has(j.code)) byJurisdiction.set(j.code, { info: info, rows: '' });
+      const timeframe = info.reportingTimeframe;
+      byJurisdiction.get(j.code).rows += `
+            <tr>
+              <td>${x(c.name)}</td>
+              <td>${x(c.code || c.conditionId)}</td>
+              <td>${c.determination.displayName}</td>
+              <td>${timeframe ? x(`${timeframe.value} ${timeframe.unit || 'h'}`) : 'Not specified'}</td>
+              <td>${x(c.evidence.map(describeRREvidence).join('; ')) || 'None'}</td>
+            </tr>`;
+      return buildRRInformationOrganizer(c, info, rrCreateTS, x, guid);
+    });
 
-    /* machine-readable observation (Reportability Result Observation) */
     condEntries += `
-      <entry>
+      <component>
         <observation classCode="OBS" moodCode="EVN">
-          <!-- Reportability Result Observation (RR-O) -->
-          <templateId root="2.16.840.1.113883.10.20.15.2.3.8" extension="2017-04-01"/>
-          <id root="${entryId}"/>
-          <code code="RR" codeSystem="2.16.840.1.114222.4.5.274"
-                displayName="Reportability Result"/>
-          <statusCode code="completed"/>
-          <effectiveTime value="${rrCreateTS}"/>
-          <value xsi:type="CD"
-                 code="${resultCode}"
-                 codeSystem="2.16.840.1.114222.4.5.232"
-                 displayName="${resultCode === 'R1' ? 'Reportable' : 'Not Reportable'}"/>
-          <entryRelationship typeCode="SUBJ">
-            <observation classCode="OBS" moodCode="EVN">
-              <!-- Condition that triggered the rule -->
-              <templateId root="2.16.840.1.113883.10.20.15.2.3.3"/>
-              <id root="${guid()}"/>
-              <code code="75323-6" codeSystem="2.16.840.1.113883.6.1"
-                    displayName="Condition"/>
-              <statusCode code="completed"/>
-              <value xsi:type="CD"
-                     code="${x(c.code)}"
-                     codeSystem="2.16.840.1.113883.6.96"
-                     displayName="${x(c.name)}"/>
-            </observation>
-          </entryRelationship>
-          ${labEvidence.map(ev => `
-          <entryRelationship typeCode="SPRT">
-            <observation classCode="OBS" moodCode="EVN">
-              <id root="${guid()}"/>
-              <statusCode code="completed"/>
-              ${ev.time ? `<effectiveTime value="${x(ev.time)}"/>` : ''}
-              ${(ev.testCode || ev.testName) ? `
-                <code code="${x(ev.testCode||'')}" codeSystem="2.16.840.1.113883.6.1" displayName="${x(ev.testName||'Laboratory test')}"/>` : `
-                <code nullFlavor="UNK"/>`}
-              ${(ev.valueKind==='coded' && (ev.valueCode || ev.valueName)) ? `
-                <value xsi:type="CD" code="${x(ev.valueCode||'')}" codeSystem="2.16.840.1.113883.6.96" displayName="${x(ev.valueName||'')}"/>` : ''}
-              ${(ev.valueKind==='quantity' && ev.qtyValue) ? `
-                <value xsi:type="PQ" value="${x(ev.qtyValue)}"${ev.qtyUnit?` unit="${x(ev.qtyUnit)}"`:''}/>` : ''}
-              ${(ev.valueKind==='text' && ev.textValue) ? `
-                <value xsi:type="ST">${x(ev.textValue)}</value>` : ''}
-              ${mapInterp(ev.interpretation) ? `
-                <interpretationCode code="${mapInterp(ev.interpretation)}" codeSystem="2.16.840.1.113883.5.83"/>` : ''}
-            </observation>
-          </entryRelationship>`).join('')}
-          <participant typeCode="DST">
-            <participantRole classCode="AGNT">
-              <addr><state>${x(d.patientState)}</state></addr>
-              <playingEntity classCode="PLC">
-                <name>${jurisdiction()}</name>
-              </playingEntity>
-            </participantRole>
-          </participant>
+          <!-- Relevant Reportable Condition Observation -->
+          <templateId root="2.16.840.1.113883.10.20.15.2.3.12" extension="2017-04-01"/>
+          <id root="${guid()}"/>
+          <code code="64572001" codeSystem="2.16.840.1.113883.6.96"
+                codeSystemName="SNOMED CT" displayName="Condition"/>
+          ${c.code ? `<value xsi:type="CD"
+                 code="${x(c.code)}"
+                 codeSystem="2.16.840.1.113883.6.96"
+                 displayName="${x(c.name)}"/>` : `<value xsi:type="CD" nullFlavor="OTH">
+            <originalText>${x(c.name)}</originalText>
+          </value>`}
+          ${organizers.join('')}
         </observation>
-      </entry>`;
+      </component>`;
   });
 
+  const jurisdictionText = Array.from(byJurisdiction.values()).map(({ info, rows }) => {
+    const agency = info.responsibleAgency;
+    const contact = [agency.phone, agency.email, agency.url].filter(Boolean).map(x).join(' | ');
+    const resources = info.externalResources.filter(r => r.url);
+    return `
+        <paragraph><content styleCode="Bold">${x(info.name)}</content></paragraph>
+        <paragraph>Responsible agency: ${x(agency.name)}${contact ? ` (${contact})` : ''}<br/>
+        Rules authoring agency: ${x(info.rulesAuthoringAgency.name)}<br/>
+        Routing entity: ${x(info.routingEntity.name)}</paragraph>
+        <table border="1">
+          <thead><tr><th>Condition</th><th>Code</th><th>Determination</th><th>Reporting Timeframe</th><th>Supporting Evidence</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>${resources.length > 0 ? `
+        <list>${resources.map(r => `
+          <item><linkHtml href="${x(r.url)}">${x(r.title || r.url)}</linkHtml></item>`).join('')}
+        </list>` : ''}`;
+  }).join('');
+
+  const reportable = determinations.filter(c => c.determination === RR_DETERMINATIONS.reportable);
+  const mayBeReportable = determinations.filter(c => c.determination === RR_DETERMINATIONS.mayBeReportable);
+  const jurisdictionNames = c => jurisdictionsOf(c).map(j => getRRJurisdictionInfo(j, c.conditionId).responsibleAgency.name).join(', ');
+  let summaryText;
+  if (reportable.length > 0) {
+    summaryText = reportable.map(c =>
+      `<content styleCode="Bold">${x(c.name)}</content> is reportable to <content styleCode="Italics">${x(jurisdictionNames(c))}</content>.`).join(' ');
+  } else if (mayBeReportable.length > 0) {
+    summaryText = `${mayBeReportable.map(c => `<content styleCode="Bold">${x(c.name)}</content>`).join(', ')}
+        may be reportable; the eICR does not contain all the information the reporting criteria require.`;
+  } else {
+    summaryText = 'No reportable condition was found in the eICR.';
+  }
+
+  /* =============== PROCESSING STATUS & SUMMARY =============== */
+  const processing = getRRProcessingStatus(validation);
+  const processingText = {
+    [RR_PROCESSING_STATUS.processed.code]: 'The eICR passed validation and was processed.',
+    [RR_PROCESSING_STATUS.processedWarning.code]:
+      `The eICR was processed, with ${processing.reasons.length} data quality warning${processing.reasons.length === 1 ? '' : 's'}.`,
+    [RR_PROCESSING_STATUS.notProcessed.code]:
+      `The eICR failed validation (${validation.blocking.length} error${validation.blocking.length === 1 ? '' : 's'}); the determinations below may be incomplete.`
+  }[processing.status.code];
+  const timeframeText = reportable.map(c => jurisdictionsOf(c).map(j => {
+    const info = getRRJurisdictionInfo(j, c.conditionId);
+    return info.reportingTimeframe
+      ? `Report ${x(c.name)} to ${x(info.responsibleAgency.name)} within ${x(`${info.reportingTimeframe.value} ${info.reportingTimeframe.unit || 'h'}`)}.`
+      : '';
+  }).filter(Boolean).join(' ')).filter(Boolean).join(' ');
+
   /* =============== THE RR XML =============== */
   return `<?xml version="1.0" encoding="UTF-8"?>
 <ClinicalDocument xmlns="urn:hl7-org:v3" xmlns:sdtc="urn:hl7-org:sdtc"
@@ -151,22 +530,22 @@ function buildRRXml () {
   <!-- PATIENT -->
   <recordTarget>
     <patientRole>
-      <id extension="${x(d.patientId)}" root="2.16.840.1.113883.19.5"/>
+      <id extension="${x(data.patientId)}" root="2.16.840.1.113883.19.5"/>
       <addr use="H">
-        <streetAddressLine>${x(d.patientAddress)}</streetAddressLine>
-        <city>${x(d.patientCity)}</city><state>${x(d.patientState)}</state>
-        <postalCode>${x(d.patientZip)}</postalCode>
-        <country>${x(d.patientCountry) || 'US'}</country>
+        <streetAddressLine>${x(data.patientAddress)}</streetAddressLine>
+        <city>${x(data.patientCity)}</city><state>${x(data.patientState)}</state>
+        <postalCode>${x(data.patientZip)}</postalCode>
+        <country>${x(data.patientCountry) || 'US'}</country>
       </addr>
-      <telecom value="tel:${x(d.patientPhone)}" use="MC"/>
+      <telecom value="tel:${x(data.patientPhone)}" use="MC"/>
       <patient>
         <name use="L">
-          <given>${x((d.patientName||' ').split(' ')[0])}</given>
-          <family>${x((d.patientName||' ').split(' ').slice(1).join(' '))}</family>
+          <given>${x((data.patientName||' ').split(' ')[0])}</given>
+          <family>${x((data.patientName||' ').split(' ').slice(1).join(' '))}</family>
         </name>
-        <administrativeGenderCode code="${x(d.patientGender)}"
+        <administrativeGenderCode code="${x(data.patientGender)}"
                                   codeSystem="2.16.840.1.113883.5.1"/>
-        <birthTime value="${x(d.patientBirthDate)}"/>
+        <birthTime value="${x(data.patientBirthDate)}"/>
       </patient>
     </patientRole>
   </recordTarget>
@@ -196,22 +575,22 @@ function buildRRXml () {
   <!-- INFO RECIPIENT (Provider) -->
   <informationRecipient typeCode="PRCP">
     <intendedRecipient>
-      <id extension="${x(d.providerId)}" root="2.16.840.1.113883.4.6"/>
+      <id extension="${x(data.providerId)}" root="2.16.840.1.113883.4.6"/>
       <informationRecipient>
         <name>
-          <given>${x((d.providerName||' ').split(' ')[0])}</given>
-          <family>${x((d.providerName||' ').split(' ').slice(1).join(' '))}</family>
+          <given>${x((data.providerName||' ').split(' ')[0])}</given>
+          <family>${x((data.providerName||' ').split(' ').slice(1).join(' '))}</family>
         </name>
       </informationRecipient>
-      <receivedOrganization><name>${x(d.facilityName)}</name></receivedOrganization>
+      <receivedOrganization><name>${x(data.facilityName)}</name></receivedOrganization>
     </intendedRecipient>
   </informationRecipient>
 
   <!-- ENCOMPASSING ENCOUNTER -->
   <componentOf>
     <encompassingEncounter>
-      <id extension="${x(d.encounterId)}" root="2.16.840.1.113883.19"/>
-      <effectiveTime><low value="${x(d.encounterDate)}"/></effectiveTime>
+      <id extension="${x(data.encounterId)}" root="2.16.840.1.113883.19"/>
+      <effectiveTime><low value="${x(data.encounterDate)}"/></effectiveTime>
     </encompassingEncounter>
   </componentOf>
 
@@ -223,9 +602,21 @@ function buildRRXml () {
       <templateId root="2.16.840.1.113883.10.20.15.2.2.1" extension="2017-04-01"/>
       <code code="88084-9" codeSystem="2.16.840.1.113883.6.1"/>
       <text>
-        <paragraph>This response indicates that public-health has processed the
-        incoming eICR. <strong>${x(conditions[0]?.name || 'A condition')}</strong>
-        is reportable for <em>${jurisdiction()}</em>.</paragraph>
+        <paragraph>This response gives public health's determinations for the
+        incoming eICR. ${summaryText}</paragraph>
+      </text>
+    </section></component>
+
+    <!-- SUMMARY section (55112-7) -->
+    <component><section>
+      <code code="55112-7" codeSystem="2.16.840.1.113883.6.1" displayName="Document summary"/>
+      <title>Summary</title>
+      <text>
+        <paragraph><content styleCode="Bold">eICR Processing Status:</content> ${processing.status.displayName}</paragraph>
+        <paragraph>${processingText} ${summaryText}${timeframeText ? ` ${timeframeText}` : ''}</paragraph>${processing.reasons.length > 0 ? `
+        <list>${processing.reasons.map(reason => `
+          <item>${x(reason)}</item>`).join('')}
+        </list>` : ''}
       </text>
     </section></component>
 
@@ -241,68 +632,61 @@ function buildRRXml () {
           <statusCode code="completed"/>
           <reference typeCode="REFR">
             <externalDocument classCode="DOCCLIN" moodCode="EVN">
-              <id root="${x(d.documentId)}"/>
+              <!-- Received eICR Document Reference -->
+              <templateId root="2.16.840.1.113883.10.20.15.2.3.10" extension="2017-04-01"/>
+              <id root="${x(eicr.id.root)}"${eicr.id.extension ? ` extension="${x(eicr.id.extension)}"` : ''}/>
               <code code="55751-2" codeSystem="2.16.840.1.113883.6.1"
                      displayName="Public Health Case Report (eICR)"/>
-              <setId extension="${x(d.setId)}"
-                     root="1.2.840.114350.1.13.380.3.7.1.1"/>
-              <versionNumber value="${x(d.versionNumber)}"/>
+              <setId root="${x(eicr.setId.root)}"${eicr.setId.extension ? ` extension="${x(eicr.setId.extension)}"` : ''}/>
+              <versionNumber value="${x(eicr.versionNumber)}"/>
             </externalDocument>
           </reference>
         </act>
       </entry>
       <entry>
         <act classCode="ACT" moodCode="EVN">
+          <!-- eICR Processing Status -->
           <templateId extension="2017-04-01" root="2.16.840.1.113883.10.20.15.2.3.29"/>
           <id root="${guid()}"/>
-          <code code="RRVS20" codeSystem="2.16.840.1.114222.4.5.274"
+          <code code="${processing.status.code}" codeSystem="2.16.840.1.114222.4.5.274"
                 codeSystemName="PHIN VS (CDC Local Coding System)"
-                displayName="eICR was processed - with a warning"/>
+                displayName="${processing.status.displayName}"/>
+          ${processing.reasons.map(reason => `
           <entryRelationship typeCode="RSON">
             <observation classCode="OBS" moodCode="EVN">
+              <!-- eICR Processing Status Reason -->
               <templateId extension="2017-04-01" root="2.16.840.1.113883.10.20.15.2.3.21"/>
               <id root="${guid()}"/>
               <code code="RR6" codeSystem="2.16.840.1.114222.4.5.232"
                     displayName="eICR processing status reason"/>
-              <value code="RRVS29" codeSystem="2.16.840.1.114222.4.5.274"
-                     displayName="The eICR was processed with the warning of: outdated eRSD (RCTC) version."
-                     xsi:type="CD"/>
-              <entryRelationship typeCode="RSON">
-                <observation classCode="OBS" moodCode="EVN">
-                  <templateId extension="2017-04-01" root="2.16.840.1.113883.10.20.15.2.3.32"/>
-                  <id root="${guid()}"/>
-                  <code code="RRVS31" codeSystem="2.16.840.1.114222.4.5.274"
-                        displayName="Outdated eRSD (RCTC) Version Detail"/>
-                  <value xsi:type="ST">2.0.1</value>
-                </observation>
-              </entryRelationship>
-              <entryRelationship typeCode="RSON">
-                <observation classCode="OBS" moodCode="EVN">
-                  <templateId extension="2017-04-01" root="2.16.840.1.113883.10.20.15.2.3.32"/>
-                  <id root="${guid()}"/>
-                  <code code="RRVS33" codeSystem="2.16.840.1.114222.4.5.274"
-                        displayName="Expected eRSD (RCTC) Version Detail"/>
-                  <value xsi:type="ST">The expected eRSD (RCTC) version should be one of the following: ["2025-02-28","2.0.0","3.0.1"]</value>
-                </observation>
-              </entryRelationship>
+              <value xsi:type="CD" nullFlavor="OTH">
+                <originalText>${x(reason)}</originalText>
+              </value>
             </observation>
-          </entryRelationship>
+          </entryRelationship>`).join('')}
         </act>
       </entry>
     </section></component>
 
-    <!-- REPORTABILITY RESULTS section (88083-1)  ← NEW -->
+    <!-- REPORTABILITY RESULTS section (88083-1) -->
     <component><section>
       <templateId root="2.16.840.1.113883.10.20.15.2.2.2" extension="2017-04-01"/>
       <code code="88083-1" codeSystem="2.16.840.1.113883.6.1"/>
       <title>Reportability Results</title>
-      <text>
-        <table border="1">
-          <thead><tr><th>Condition</th><th>Code</th><th>Classification</th><th>Jurisdiction</th></tr></thead>
-          <tbody>${condRows}</tbody>
-        </table>
-      </text>
-      ${condEntries}
+      <text>${jurisdictionText || `
+        <paragraph>No condition was evaluated as reportable, possibly reportable or not reportable.</paragraph>`}
+      </text>${condEntries ? `
+      <entry>
+        <organizer classCode="CLUSTER" moodCode="EVN">
+          <!-- Reportability Response Coded Information Organizer -->
+          <templateId root="2.16.840.1.113883.10.20.15.2.3.34" extension="2017-04-01"/>
+          <id root="${guid()}"/>
+          <code code="RR11" codeSystem="2.16.840.1.114222.4.5.232"
+                codeSystemName="PHIN Questions" displayName="Reportability Response Coded Information"/>
+          <statusCode code="completed"/>
+          ${condEntries}
+        </organizer>
+      </entry>` : ''}
     </section></component>
 
   </structuredBody></component>
@@ -311,10 +695,14 @@ function buildRRXml () {
 
 /**
  * Generate RR XML (convenience wrapper)
+ * @param {object} data - Canonical form data (getFormData())
+ * @param {object} evaluation - Engine result (evaluateReportabilityForRR)
+ * @param {object} validation - Result of runFormValidation()
+ * @param {object} [eicrIds] - getEICRIdentifiers() of the eICR responded to
  * @returns {string} RR XML document
  */
-function generateRR() {
-    return buildRRXml();
+function generateRR(data, evaluation, validation, eicrIds) {
+    return buildRRXml(data, evaluation, validation, eicrIds);
 }
 
 /**
@@ -351,13 +739,19 @@ function buildMetadataXml(data, zipFilename) {
  */
 async function downloadZipOfEICRandRR() {
   try {
-    if (!validateFormData()) return;
+    const validation = runFormValidation();
+    if (!validateFormData(validation)) return;
 
     console.log('Starting ZIP generation with debugging...');
 
     // Generate XML
-    const eicrXml = generateEICRXml();
-    const rrXml = generateRRXml();
+    const formData = getFormData();
+    const eicrXml = generateEICRXml(formData);
+    checkGeneratedEICRXml(eicrXml);
+    const evaluation = await evaluateReportabilityForRR(formData);
+    // The RR references the eICR generated above, not a separate read of the form
+    const eicrIds = getEICRIdentifiers(eicrXml);
+    const rrXml = generateRRXml(formData, evaluation, validation, eicrIds);
 
     // Debug XML structure
     debugXmlStructure(eicrXml, 'eICR');
@@ -388,9 +782,9 @@ async function downloadZipOfEICRandRR() {
     const rrHtml = xmlToHtml(rrXml, rrXsl);
 
     // Generate filenames
-    const data = getFormData();
+    const data = formData;
     const stamp = new Date().toISOString().split('T')[0];
-    const base = (data.patientName || 'Patient').replace(/[^A-Za-z0-9]/g,'_') + '_' + (data.setId || 'Unknown') + '_' + stamp;
+    const base = (data.patientName || 'Patient').replace(/[^A-Za-z0-9]/g,'_') + '_' + (eicrIds.setId.extension || 'Unknown') + '_' + stamp;
 
     // Create ZIP with all files
     console.log('Creating ZIP package...');
@@ -423,6 +817,8 @@ async function downloadZipOfEICRandRR() {
         const writable = await fileHandle.createWritable();
         await writable.write(blob);
         await writable.close();
+        // Only eICRs that were actually saved go into the history
+        recordGeneratedEICR(eicrXml, formData);
         console.log('File saved with user-selected location');
         return;
       } catch (err) {
@@ -445,6 +841,7 @@ async function downloadZipOfEICRandRR() {
     a.click();
     a.remove();
     URL.revokeObjectURL(url);
+    recordGeneratedEICR(eicrXml, formData);
 
     console.log('ZIP download completed successfully with 5 files (XML + HTML + metadata)');
 
@@ -465,7 +862,10 @@ async function downloadZipOfEICRandRR() {
  */
 async function generateAndDownloadRR() {
     try {
-        const rrXml = generateRR();          // build the RR XML
+        const formData = getFormData();
+        const evaluation = await evaluateReportabilityForRR(formData);
+        const validation = runFormValidation();  // reported in the RR, not blocking
+        const rrXml = generateRR(formData, evaluation, validation);          // build the RR XML
         const blob = new Blob([rrXml], { type: 'application/xml' });
         const filename = generateDynamicFilename('RR', 'xml');
 
@@ -513,5 +913,7 @@ async function generateAndDownloadRR() {
 
 // Expose functions globally for onclick attributes and cross-module access
 window.buildRRXml = buildRRXml;
+window.evaluateReportabilityForRR = evaluateReportabilityForRR;
+window.getEICRIdentifiers = getEICRIdentifiers;
 window.generateAndDownloadRR = generateAndDownloadRR;
 window.downloadZipOfEICRandRR = downloadZipOfEICRandRR;
@@ -11,7 +11,7 @@
  * - Search result hiding
  *
  * Dependencies:
- * - validation.js (isRCTCTriggerCode, validateTriggerCode)
+ * - validation.js (getRCTCTriggerValueSets, describeRCTCTriggerValueSets, validateTriggerCode)
  *
  * @medical-software UI interactions affect data collection completeness
  */
@@ -202,10 +202,12 @@ function populateConditionDropdowns(conditions) {
                 option.value = condition.code;
                 option.textContent = `${condition.code} - ${condition.description} (${condition.condition})`;
 
-                // Mark RCTC trigger codes
-                if (isRCTCTriggerCode(condition.code)) {
+                // Mark RCTC trigger codes with the trigger value set(s) they come from
+                const triggerValueSets = getRCTCTriggerValueSets(condition.code, condition.codeType);
+                if (triggerValueSets.length > 0) {
                     option.textContent += ' [RCTC]';
                     option.style.fontWeight = 'bold';
+                    option.title = describeRCTCTriggerValueSets(triggerValueSets);
                 }
 
                 select.appendChild(option);
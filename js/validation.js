@@ -12,36 +12,112 @@
  *
  * Dependencies:
  * - form-handlers.js (getFormData)
- * - config.js (RCTC data, value sets)
+ * - config.js (RCTC data, value sets, rctcTriggerIndex, VALIDATION_PROFILES)
+ * - data-loaders.js (loadRCTCTriggerIndex fills rctcTriggerIndex)
  *
  * @medical-software CRITICAL - Validation ensures CDA compliance and prevents data quality issues
  */
 
 console.log('✅ validation.js is loading...');
 
-// Note: DQ_VALUESETS and NON_BLOCKING_DQ are defined in config.js which loads first
+// Note: DQ_VALUESETS and VALIDATION_PROFILES are defined in config.js which loads first
 
 /**
- * Check if a code is a known RCTC trigger code
+ * Normalize a code system given as RCTC name ("SNOMEDCT"), common alias
+ * ("SNOMED CT", "ICD-10-CM") or OID to the RCTC code system name
+ * @param {string} codeSystem - Code system name or OID
+ * @returns {string} RCTC code system name, or '' if unknown/empty
+ */
+function normalizeRCTCCodeSystem(codeSystem) {
+    const value = String(codeSystem || '').trim();
+    if (!value) return '';
+    const byOid = Object.keys(RCTC_CODE_SYSTEMS).find(name => RCTC_CODE_SYSTEMS[name] === value);
+    if (byOid) return byOid;
+    const name = value.toUpperCase().replace(/[^A-Z0-9]/g, '');
+    if (name === 'SNOMED') return 'SNOMEDCT';
+    return RCTC_CODE_SYSTEMS[name] ? name : '';
+}
+
+/**
+ * Look up the RCTC trigger value sets a code belongs to
+ * @param {string} code - The code to look up
+ * @param {string} [codeSystem] - Code system name or OID; omit to match any code system
+ * @returns {Array<Object>} Trigger value set entries ({ valueSetOid, valueSetName,
+ *   groupingName, codeSystem, conditionName, ... }); empty if not a trigger code
+ */
+function getRCTCTriggerValueSets(code, codeSystem) {
+    const entries = rctcTriggerIndex.get(String(code || '').trim()) || [];
+    const system = normalizeRCTCCodeSystem(codeSystem);
+    return system ? entries.filter(e => e.codeSystem === system) : entries;
+}
+
+/**
+ * Check if a code is an RCTC trigger code
  * @param {string} code - The code to validate
- * @returns {boolean} True if the code is a recognized RCTC trigger code
+ * @param {string} [codeSystem] - Code system name or OID; omit to match any code system
+ * @returns {boolean} True if the code is in an RCTC trigger value set
+ */
+function isRCTCTriggerCode(code, codeSystem) {
+    return getRCTCTriggerValueSets(code, codeSystem).length > 0;
+}
+
+/**
+ * Whether a code can count as the eICR's trigger code. Only the full RCTC index is
+ * authoritative: with just the fallback trigger codes any code counts.
+ * @param {string} code - The code to check
+ * @param {string} [codeSystem] - Code system name or OID
+ * @returns {boolean} False only for empty codes and codes the full RCTC does not list
+ */
+function mayBeRCTCTriggerCode(code, codeSystem) {
+    if (!code) return false;
+    return !rctcTriggerIndexComplete || isRCTCTriggerCode(code, codeSystem);
+}
+
+/**
+ * Describe the trigger value set(s) of a code for display
+ * @param {Array<Object>} valueSets - getRCTCTriggerValueSets() result
+ * @returns {string} e.g. "Levodopa (RXNORM) [2.16.840.1.113762.1.4.1146.1052]",
+ *   or the value set OID and its grouping when the RCTC tab does not name its value sets
  */
-function isRCTCTriggerCode(code) {
-    const triggerCodes = ['840539006', '719865001', '3928002', '94310-0', '34487-9', '168731009',
-                         '41040004', '72951007', '67531005', '86299006', '414819007'];
-    return triggerCodes.includes(code);
+function describeRCTCTriggerValueSets(valueSets) {
+    const seen = new Set();
+    return valueSets
+        .filter(vs => !seen.has(vs.valueSetOid) && seen.add(vs.valueSetOid))
+        .map(vs => vs.valueSetName
+            ? `${vs.valueSetName} [${vs.valueSetOid}]`
+            : `${vs.valueSetOid} (${vs.groupingName})`)
+        .join('; ');
 }
 
 /**
- * Validate a trigger code and log warnings if not recognized
+ * Validate a trigger code and report the RCTC value set(s) it belongs to
+ * The result is logged and shown as the field's tooltip.
  * @param {string} fieldId - ID of the field containing the trigger code
+ * @param {string} [codeSystem] - Code system name or OID of the field's code
+ * @returns {Array<Object>} Trigger value sets of the code (empty if none or unchecked)
  */
-function validateTriggerCode(fieldId) {
-    const code = document.getElementById(fieldId).value;
+function validateTriggerCode(fieldId, codeSystem) {
+    const field = document.getElementById(fieldId);
+    const code = field?.value.trim();
+    if (!code) return [];
+
+    if (!rctcTriggerIndexLoaded) {
+        console.log('RCTC trigger codes not loaded yet; skipping check of', code);
+        return [];
+    }
 
-    if (code && !isRCTCTriggerCode(code)) {
+    const valueSets = getRCTCTriggerValueSets(code, codeSystem);
+    if (valueSets.length === 0) {
         console.log('Warning: Code', code, 'may not be a valid RCTC trigger code');
+        field.title = rctcTriggerIndexComplete
+            ? 'Not an RCTC trigger code'
+            : 'Not a known RCTC trigger code (RCTC workbook unavailable)';
+    } else {
+        const description = describeRCTCTriggerValueSets(valueSets);
+        console.log('RCTC trigger code', code, 'in', description);
+        field.title = `RCTC trigger (${valueSets[0].groupingName}): ${description}`;
     }
+    return valueSets;
 }
 
 /**
@@ -79,31 +155,138 @@ function validateXMLComments(xmlString, docType) {
   return comments.length;
 }
 
+/**
+ * Repeater sections the validation can point into, keyed by their getFormData() property.
+ * filled lists the inputs of which at least one must have a value for the collector
+ * to keep the row, so a data index can be mapped back to its row in the form.
+ */
+const VALIDATION_REPEATERS = {
+    labEvidence: { rowSelector: '.lab-evidence-row', filled: ['.le-test-code', '.le-test-name', '.le-order-code', '.le-order-name'] },
+    diagnosisEvidence: { rowSelector: '.diagnosis-evidence-row', filled: ['.de-diagnosis-code', '.de-diagnosis-name'] },
+    problemEvidence: { rowSelector: '.problem-evidence-row', filled: ['.pe-problem-code', '.pe-problem-name'] },
+    administeredMedications: { rowSelector: '.medication-administered-evidence-row', filled: ['.ame-medication-code', '.ame-medication-name'] },
+    immunizations: { rowSelector: '.immunization-row', filled: ['.imm-vaccine-code', '.imm-vaccine-name'] },
+    procedures: { rowSelector: '.procedure-row', filled: ['.proc-procedure-code', '.proc-procedure-name'] }
+};
+
+/**
+ * Id of the validation profile selected in the form
+ * @returns {string} VALIDATION_PROFILES key; DEFAULT_VALIDATION_PROFILE when none or an unknown one is selected
+ */
+function getActiveValidationProfile() {
+    const selected = document.getElementById('validationProfile')?.value;
+    return VALIDATION_PROFILES[selected] ? selected : DEFAULT_VALIDATION_PROFILE;
+}
+
+/**
+ * Severity of a rule under a validation profile
+ * @param {string} ruleId - Rule id
+ * @param {string} [profileId] - VALIDATION_PROFILES key (defaults to the active profile)
+ * @returns {'error'|'warning'|'off'} Severity; rules the profile does not list are errors
+ */
+function getValidationRuleSeverity(ruleId, profileId = getActiveValidationProfile()) {
+    const profile = VALIDATION_PROFILES[profileId] || VALIDATION_PROFILES[DEFAULT_VALIDATION_PROFILE];
+    return profile.severities[ruleId] || 'error';
+}
+
+/**
+ * Fill the validation profile dropdown, keeping the current selection
+ */
+function populateValidationProfiles() {
+    const select = document.getElementById('validationProfile');
+    if (!select) return;
+
+    const current = select.value;
+    select.innerHTML = '';
+    Object.entries(VALIDATION_PROFILES).forEach(([id, profile]) => {
+        select.appendChild(new Option(profile.name, id));
+    });
+    select.value = VALIDATION_PROFILES[current] ? current : DEFAULT_VALIDATION_PROFILE;
+}
+
+/**
+ * Create a validation issue
+ * @param {string} ruleId - DQ / form rule id, e.g. 'dq-patientName-001'
+ * @param {string} message - Message for the user
+ * @param {Object} [target] - Offending input: { fieldId } for a form field, or
+ *   { repeater, index, field } for a repeater row (VALIDATION_REPEATERS key, index in
+ *   the getFormData() array, input selector within the row)
+ * @returns {{ruleId: string, severity: string, message: string, fieldId: string, row: Object|null}}
+ */
+function validationIssue(ruleId, message, target = {}) {
+    return {
+        ruleId: ruleId,
+        severity: 'error',
+        message: message,
+        fieldId: target.fieldId || '',
+        row: target.repeater
+            ? { repeater: target.repeater, index: target.index, field: target.field || '' }
+            : null
+    };
+}
+
+/**
+ * Format an issue as a single line, e.g. for the RR processing status reasons
+ * @param {Object} issue - Validation issue
+ * @returns {string} "ruleId: message"
+ */
+function formatValidationIssue(issue) {
+    return `${issue.ruleId}: ${issue.message}`;
+}
+
+/**
+ * Find the form element an issue points at
+ * @param {Object} issue - Validation issue
+ * @returns {HTMLElement|null} The input, the repeater row when the input is not found, or null
+ */
+function findValidationTarget(issue) {
+    if (issue.fieldId) return document.getElementById(issue.fieldId);
+    if (!issue.row) return null;
+
+    const repeater = VALIDATION_REPEATERS[issue.row.repeater];
+    if (!repeater) return null;
+    const rows = Array.from(document.querySelectorAll(repeater.rowSelector))
+        .filter(r => repeater.filled.some(selector => r.querySelector(selector)?.value.trim()));
+    const row = rows[issue.row.index];
+    if (!row) return null;
+    return (issue.row.field && row.querySelector(issue.row.field)) || row;
+}
+
+/**
+ * Title of the form section containing an element
+ * @param {HTMLElement|null} element - Form element
+ * @returns {string} Section title, or 'General' outside the form sections
+ */
+function getValidationSection(element) {
+    const title = element?.closest('.section')?.querySelector('.section-title');
+    return title ? title.textContent.trim() : 'General';
+}
+
 /**
  * Validate Related Document Fields
  * Ensures required relationship fields are populated when not creating a new document
- * @returns {boolean} True if validation passes
+ * @returns {Object[]} Validation issues
  */
 function validateRelatedDocumentFields() {
+    const issues = [];
     const relationshipType = document.getElementById('documentRelationshipType').value;
     const relatedDocIdField = document.getElementById('relatedDocumentId');
 
     if (relationshipType !== 'NEW' && !relatedDocIdField.value.trim()) {
-        alert('Related Document ID is required when relationship type is not "New Document".');
-        relatedDocIdField.focus();
-        return false;
+        issues.push(validationIssue('form-relatedDocumentId',
+            'Related Document ID is required when relationship type is not "New Document"',
+            { fieldId: 'relatedDocumentId' }));
     }
-    return true;
+    return issues;
 }
 
 /**
  * Validate Date Format
  * Checks if a date string is in valid CDA format or convertible datetime-local format
  * @param {string} dateString - The date string to validate
- * @param {string} fieldName - Field name for error messages
  * @returns {boolean} True if date format is valid
  */
-function validateDateFormat(dateString, fieldName) {
+function validateDateFormat(dateString) {
     if (!dateString) return true; // Allow empty dates
 
     // Check if it's already in CDA format (YYYYMMDD or YYYYMMDDHHMMSS)
@@ -116,18 +299,13 @@ function validateDateFormat(dateString, fieldName) {
 
     // Check if it's a valid datetime-local format that we can convert
     const date = new Date(dateString);
-    if (!isNaN(date.getTime())) {
-        return true;
-    }
-
-    alert(`${fieldName} must be a valid date/time format`);
-    return false;
+    return !isNaN(date.getTime());
 }
 
 /**
  * Validate Required Fields
  * Ensures all critical fields are populated before CDA generation
- * @returns {boolean} True if all required fields are present
+ * @returns {Object[]} One validation issue per missing field
  */
 function validateRequiredFields() {
     const requiredFields = [
@@ -142,197 +320,172 @@ function validateRequiredFields() {
         { id: 'effectiveTime', name: 'Effective Time' }
     ];
 
-    for (let field of requiredFields) {
-        const element = document.getElementById(field.id);
-        if (!element || !element.value.trim()) {
-            alert(`${field.name} is required`);
-            element?.focus();
-            return false;
-        }
-    }
-    return true;
+    return requiredFields
+        .filter(field => !document.getElementById(field.id)?.value.trim())
+        .map(field => validationIssue('form-required', `${field.name} is required`, { fieldId: field.id }));
 }
 
 /**
  * DQ Validation: Patient Name
- * @returns {string[]} Array of validation errors
+ * @returns {Object[]} Validation issues
  */
 function validateDQPatientName() {
-    const errors = [];
+    const issues = [];
     const nameField = document.getElementById('patientName');
+    const target = { fieldId: 'patientName' };
 
     if (!nameField || !nameField.value || nameField.value.trim() === '') {
-        errors.push('dq-patientName-001: Patient name cannot be nullFlavor or empty');
+        issues.push(validationIssue('dq-patientName-001', 'Patient name cannot be nullFlavor or empty', target));
     } else {
         const nameParts = nameField.value.trim().split(' ');
         if (nameParts.length < 2) {
-            errors.push('dq-patientName-002/004: Patient must have both family and given name');
+            issues.push(validationIssue('dq-patientName-002/004', 'Patient must have both family and given name', target));
         }
     }
 
-    return errors;
+    return issues;
 }
 
 /**
  * DQ Validation: Patient Address
- * @returns {string[]} Array of validation errors
+ * @returns {Object[]} Validation issues
  */
 function validateDQPatientAddress() {
-    const errors = [];
+    const issues = [];
     const addressField = document.getElementById('patientAddress');
     const cityField = document.getElementById('patientCity');
     const stateField = document.getElementById('patientState');
     const zipField = document.getElementById('patientZip');
 
     if (!addressField?.value?.trim()) {
-        errors.push('dq-patientAddress-002/003/004: Street address line cannot be nullFlavor or blank');
+        issues.push(validationIssue('dq-patientAddress-002/003/004', 'Street address line cannot be nullFlavor or blank', { fieldId: 'patientAddress' }));
     }
     if (!cityField?.value?.trim()) {
-        errors.push('dq-patientAddress-005/006: City cannot be nullFlavor or blank');
+        issues.push(validationIssue('dq-patientAddress-005/006', 'City cannot be nullFlavor or blank', { fieldId: 'patientCity' }));
     }
     if (!stateField?.value?.trim()) {
-        errors.push('dq-patientAddress-007/008: State cannot be nullFlavor or blank');
+        issues.push(validationIssue('dq-patientAddress-007/008', 'State cannot be nullFlavor or blank', { fieldId: 'patientState' }));
     }
     if (!zipField?.value?.trim()) {
-        errors.push('dq-patientAddress-009/010: Postal code cannot be nullFlavor or blank');
+        issues.push(validationIssue('dq-patientAddress-009/010', 'Postal code cannot be nullFlavor or blank', { fieldId: 'patientZip' }));
     }
 
-    return errors;
+    return issues;
 }
 
 /**
  * DQ Validation: Administrative Gender
- * @returns {string[]} Array of validation errors
+ * @returns {Object[]} Validation issues
  */
 function validateDQAdministrativeGender() {
-    const errors = [];
+    const issues = [];
     const genderField = document.getElementById('patientGender');
+    const target = { fieldId: 'patientGender' };
 
     if (!genderField?.value) {
-        errors.push('dq-administrativeGenderCode-001: Administrative gender code cannot be nullFlavor');
+        issues.push(validationIssue('dq-administrativeGenderCode-001', 'Administrative gender code cannot be nullFlavor', target));
     } else if (!DQ_VALUESETS.administrativeGender.values.includes(genderField.value)) {
-        errors.push('dq-administrativeGenderCode-002: Administrative gender code must be M, F, or UN');
+        issues.push(validationIssue('dq-administrativeGenderCode-002', 'Administrative gender code must be M, F, or UN', target));
     }
 
-    return errors;
+    return issues;
 }
 
 /**
  * DQ Validation: Race Code
- * @returns {string[]} Array of validation errors
+ * @returns {Object[]} Validation issues
  */
 function validateDQRaceCode() {
-    const errors = [];
+    const issues = [];
     const raceField = document.getElementById('patientRace');
+    const target = { fieldId: 'patientRace' };
 
     if (!raceField?.value) {
-        errors.push('dq-raceCode-001: Race code cannot be nullFlavor');
+        issues.push(validationIssue('dq-raceCode-001', 'Race code cannot be nullFlavor', target));
     } else if (!DQ_VALUESETS.raceCategory.values.includes(raceField.value) && raceField.value !== 'UNK') {
-        errors.push('dq-raceCode-002: Race code must be from Race Category Excluding Nulls ValueSet');
+        issues.push(validationIssue('dq-raceCode-002', 'Race code must be from Race Category Excluding Nulls ValueSet', target));
     }
 
-    return errors;
+    return issues;
 }
 
 /**
  * DQ Validation: Ethnicity Code
- * @returns {string[]} Array of validation errors
+ * @returns {Object[]} Validation issues
  */
 function validateDQEthnicityCode() {
-    const errors = [];
+    const issues = [];
     const ethnicityField = document.getElementById('patientEthnicity');
+    const target = { fieldId: 'patientEthnicity' };
 
     if (!ethnicityField?.value) {
-        errors.push('dq-ethnicGroupCode-001: Ethnicity code cannot be nullFlavor');
+        issues.push(validationIssue('dq-ethnicGroupCode-001', 'Ethnicity code cannot be nullFlavor', target));
     } else if (!DQ_VALUESETS.ethnicity.values.includes(ethnicityField.value) && ethnicityField.value !== 'UNK') {
-        errors.push('dq-ethnicGroupCode-002: Ethnicity code must be from Ethnicity ValueSet');
+        issues.push(validationIssue('dq-ethnicGroupCode-002', 'Ethnicity code must be from Ethnicity ValueSet', target));
     }
 
-    return errors;
+    return issues;
 }
 
 /**
  * DQ Validation: Date Formats
- * @returns {string[]} Array of validation errors
+ * @returns {Object[]} Validation issues
  */
 function validateDQDateFormats() {
-    const errors = [];
+    const issues = [];
     const dateFields = [
         { id: 'patientBirthDate', name: 'Patient Birth Date' },
         { id: 'encounterDate', name: 'Encounter Date' },
-        { id: 'patientDeathDate', name: 'Patient Death Date' },
-        { id: 'diagnosis1Date', name: 'Diagnosis 1 Date' },
-        { id: 'diagnosis1OnsetDate', name: 'Diagnosis 1 Onset Date' },
-        { id: 'labTest1Time', name: 'Lab Test 1 Time' },
-        { id: 'immunization1Date', name: 'Immunization 1 Date' },
-        { id: 'specimenCollectionDate', name: 'Specimen Collection Date' }
+        { id: 'patientDeathDate', name: 'Patient Death Date' }
     ];
 
     dateFields.forEach(field => {
         const element = document.getElementById(field.id);
         if (element?.value) {
-            if (!validateDateFormat(element.value, field.name)) {
-                errors.push(`dq-dateFormat: ${field.name} must be at least 8 characters (YYYYMMDD)`);
+            if (!validateDateFormat(element.value)) {
+                issues.push(validationIssue('dq-dateFormat', `${field.name} must be at least 8 characters (YYYYMMDD)`, { fieldId: field.id }));
             }
         }
     });
 
-    return errors;
+    return issues;
 }
 
 /**
  * DQ Validation: Specimen Information
- * @returns {string[]} Array of validation errors
+ * @returns {Object[]} Validation issues
  */
 function validateDQSpecimen() {
-    const errors = [];
+    const issues = [];
 
-    // Check specimen 1
-    const spec1Source = document.getElementById('specimen1Source');
-    const spec1Type = document.getElementById('specimen1Type');
-    const spec1Id = document.getElementById('specimen1Id');
-    const collect1Date = document.getElementById('collection1Date');
+    [1, 2].forEach(n => {
+        const source = document.getElementById(`specimen${n}Source`);
+        const id = document.getElementById(`specimen${n}Id`);
+        const collectDate = document.getElementById(`collection${n}Date`);
 
-    if (spec1Source?.value && !DQ_VALUESETS.specimenType.values.includes(spec1Source.value)) {
-        errors.push('dq-specimenType-002: Specimen 1 source must be from HL7 Specimen Type ValueSet');
-    }
-
-    if (collect1Date?.value && collect1Date.value.length < 8) {
-        errors.push('dq-specimenCollectionDate-002: Specimen 1 collection date must be at least 8 characters');
-    }
-
-    if (spec1Id?.value && !spec1Id.value.trim()) {
-        errors.push('dq-specimenId-001: Specimen 1 ID cannot be nullFlavor or empty');
-    }
-
-    // Check specimen 2
-    const spec2Source = document.getElementById('specimen2Source');
-    const spec2Type = document.getElementById('specimen2Type');
-    const spec2Id = document.getElementById('specimen2Id');
-    const collect2Date = document.getElementById('collection2Date');
-
-    if (spec2Source?.value && !DQ_VALUESETS.specimenType.values.includes(spec2Source.value)) {
-        errors.push('dq-specimenType-002: Specimen 2 source must be from HL7 Specimen Type ValueSet');
-    }
+        if (source?.value && !DQ_VALUESETS.specimenType.values.includes(source.value)) {
+            issues.push(validationIssue('dq-specimenType-002', `Specimen ${n} source must be from HL7 Specimen Type ValueSet`, { fieldId: `specimen${n}Source` }));
+        }
 
-    if (collect2Date?.value && collect2Date.value.length < 8) {
-        errors.push('dq-specimenCollectionDate-002: Specimen 2 collection date must be at least 8 characters');
-    }
+        if (collectDate?.value && collectDate.value.length < 8) {
+            issues.push(validationIssue('dq-specimenCollectionDate-002', `Specimen ${n} collection date must be at least 8 characters`, { fieldId: `collection${n}Date` }));
+        }
 
-    if (spec2Id?.value && !spec2Id.value.trim()) {
-        errors.push('dq-specimenId-001: Specimen 2 ID cannot be nullFlavor or empty');
-    }
+        if (id?.value && !id.value.trim()) {
+            issues.push(validationIssue('dq-specimenId-001', `Specimen ${n} ID cannot be nullFlavor or empty`, { fieldId: `specimen${n}Id` }));
+        }
+    });
 
-    return errors;
+    return issues;
 }
 
 /**
  * DQ Validation: Trigger Codes (CRITICAL)
  * Ensures at least one RCTC trigger code is present in the document
- * @returns {string[]} Array of validation errors
+ * @returns {Object[]} Validation issues
  */
 function validateDQTriggerCodes() {
-    const errors = [];
+    const issues = [];
     const data = getFormData();
 
     let hasTriggerCode = false;
@@ -340,7 +493,7 @@ function validateDQTriggerCodes() {
     // Check diagnosis evidence
     if (Array.isArray(data.diagnosisEvidence)) {
         hasTriggerCode = data.diagnosisEvidence.some(d =>
-            isRCTCTriggerCode(d.diagnosisCode) || d.isRCTC
+            mayBeRCTCTriggerCode(d.diagnosisCode) || d.isRCTC
         );
     }
 
@@ -348,8 +501,8 @@ function validateDQTriggerCodes() {
     if (!hasTriggerCode && Array.isArray(data.labEvidence)) {
         hasTriggerCode = data.labEvidence.some(ev =>
             ev.isRCTC ||
-            isRCTCTriggerCode(ev.testCode) ||
-            isRCTCTriggerCode(ev.valueCode)
+            mayBeRCTCTriggerCode(ev.testCode) ||
+            mayBeRCTCTriggerCode(ev.valueCode)
         );
     }
 
@@ -363,219 +516,260 @@ function validateDQTriggerCodes() {
         hasTriggerCode = data.immunizations.some(imm => imm.vaccineCode);
     }
 
-    // Check remaining legacy fields for other sections
-    const legacyTriggerFields = [
-        'labTest1Code', 'labTest2Code', 'labOrder1Code',
-        'vaccine1Code', 'vaccine2Code'
-    ];
-
-    if (!hasTriggerCode) {
-        legacyTriggerFields.forEach(fieldId => {
-            const element = document.getElementById(fieldId);
-            if (element?.value?.trim()) {
-                hasTriggerCode = true;
-            }
-        });
-    }
-
     if (!hasTriggerCode) {
-        errors.push('FATAL: At least one trigger code template must be present (eICR requirement)');
+        issues.push(validationIssue('FATAL', 'At least one trigger code template must be present (eICR requirement)',
+            { fieldId: 'diagnosisEvidenceList' }));
     }
 
-    return errors;
+    return issues;
 }
 
 /**
  * DQ Validation: Death Indicator
- * @returns {string[]} Array of validation errors
+ * @returns {Object[]} Validation issues
  */
 function validateDQDeathIndicator() {
-    const errors = [];
+    const issues = [];
     const deathIndicator = document.getElementById('patientDeathIndicator');
     const deathDate = document.getElementById('patientDeathDate');
 
     if (deathIndicator?.value === 'true' && !deathDate?.value) {
-        errors.push('dq-deceasedTime: Death date cannot be nullFlavor when death indicator is true');
+        issues.push(validationIssue('dq-deceasedTime', 'Death date cannot be nullFlavor when death indicator is true', { fieldId: 'patientDeathDate' }));
     }
 
-    return errors;
+    return issues;
 }
 
 /**
  * DQ Validation: Lab Observations
- * @returns {string[]} Array of validation errors
+ * Applies the result observation rules to every lab evidence row
+ * @returns {Object[]} Validation issues
  */
 function validateDQLabObservations() {
-    const errors = [];
-
-    // Lab Test 1 validation
-    const lab1Code = document.getElementById('labTest1Code');
-    const lab1Status = document.getElementById('labTest1Status');
-    const lab1Result = document.getElementById('labTest1Result');
-
-    if (lab1Code?.value && (!lab1Code.value.trim() || lab1Code.value === 'nullFlavor')) {
-        errors.push('dq-resultObservation-002: Lab test 1 code cannot be nullFlavor');
-    }
+    const issues = [];
+    const data = getFormData();
+    const valueFields = { coded: ['valueCode', '.le-value-code'], quantity: ['qtyValue', '.le-qty-value'], text: ['textValue', '.le-text-value'] };
 
-    if (lab1Status?.value && (!lab1Status.value.trim() || lab1Status.value === 'nullFlavor')) {
-        errors.push('dq_lab_result_statusCode_001: Lab test 1 status code cannot be nullFlavor');
-    }
+    (data.labEvidence || []).forEach((le, index) => {
+        const row = field => ({ repeater: 'labEvidence', index: index, field: field });
+        const label = `Lab result ${index + 1}${le.testName || le.orderName ? ` (${le.testName || le.orderName})` : ''}`;
 
-    if (lab1Result?.value && (!lab1Result.value.trim() || lab1Result.value === 'nullFlavor')) {
-        errors.push('dq-resultObservation-001: Lab test 1 result value cannot be nullFlavor');
-    }
-
-    // Lab Test 2 validation
-    const lab2Code = document.getElementById('labTest2Code');
-    const lab2Status = document.getElementById('labTest2Status');
-    const lab2Result = document.getElementById('labTest2Result');
+        // The result observation is coded with the test code, or the order code without one
+        const code = le.testCode || le.orderCode;
+        if (!code || code === 'nullFlavor') {
+            issues.push(validationIssue('dq-resultObservation-002', `${label} code cannot be nullFlavor`, row('.le-test-code')));
+        }
 
-    if (lab2Code?.value && (!lab2Code.value.trim() || lab2Code.value === 'nullFlavor')) {
-        errors.push('dq-resultObservation-002: Lab test 2 code cannot be nullFlavor');
-    }
+        if (!le.status || le.status === 'nullFlavor') {
+            issues.push(validationIssue('dq_lab_result_statusCode_001', `${label} status code cannot be nullFlavor`, row('.le-status')));
+        }
 
-    if (lab2Status?.value && (!lab2Status.value.trim() || lab2Status.value === 'nullFlavor')) {
-        errors.push('dq_lab_result_statusCode_001: Lab test 2 status code cannot be nullFlavor');
-    }
+        const [valueProperty, valueField] = valueFields[le.valueKind] || [null, '.le-value-kind'];
+        const value = valueProperty ? le[valueProperty] : '';
+        if (!value || value === 'nullFlavor') {
+            issues.push(validationIssue('dq-resultObservation-001', `${label} result value cannot be nullFlavor`, row(valueField)));
+        }
 
-    if (lab2Result?.value && (!lab2Result.value.trim() || lab2Result.value === 'nullFlavor')) {
-        errors.push('dq-resultObservation-001: Lab test 2 result value cannot be nullFlavor');
-    }
+        if (le.time && !validateDateFormat(le.time)) {
+            issues.push(validationIssue('dq-dateFormat', `${label} time must be at least 8 characters (YYYYMMDD)`, row('.le-time')));
+        }
+    });
 
-    return errors;
+    return issues;
 }
 
 /**
  * DQ Validation: Medication Administration
  * Validates medications from the repeater array
- * @returns {string[]} Array of validation errors
+ * @returns {Object[]} Validation issues
  */
 function validateDQMedicationAdministration() {
-    const errors = [];
+    const issues = [];
     const data = getFormData();
 
     // Validate medications from repeater
     if (Array.isArray(data.administeredMedications)) {
         data.administeredMedications.forEach((med, index) => {
+            const row = field => ({ repeater: 'administeredMedications', index: index, field: field });
+
             if (med.administrationId && (!med.administrationId.trim() || med.administrationId === 'nullFlavor')) {
-                errors.push(`dq-medicationAdministration-id-001: Medication ${index + 1} ID cannot be nullFlavor`);
+                issues.push(validationIssue('dq-medicationAdministration-id-001', `Medication ${index + 1} ID cannot be nullFlavor`, row('.ame-administration-id')));
             }
 
             if (med.medicationCode && (!med.medicationCode.trim() || med.medicationCode === 'nullFlavor')) {
-                errors.push(`dq_medicationsAdministered-001: Medication ${index + 1} code cannot be nullFlavor`);
+                issues.push(validationIssue('dq_medicationsAdministered-001', `Medication ${index + 1} code cannot be nullFlavor`, row('.ame-medication-code')));
             }
         });
     }
 
-    return errors;
+    return issues;
 }
 
 /**
  * DQ Validation: Immunizations
- * @returns {string[]} Array of validation errors
+ * @returns {Object[]} Validation issues
  */
 function validateDQImmunizations() {
-    const errors = [];
+    const issues = [];
     const data = getFormData();
 
     // Validate immunizations from repeater
     if (Array.isArray(data.immunizations)) {
         data.immunizations.forEach((imm, index) => {
+            const row = field => ({ repeater: 'immunizations', index: index, field: field });
+
             if (imm.immunizationId && (!imm.immunizationId.trim() || imm.immunizationId === 'nullFlavor')) {
-                errors.push(`dq-immunizationActivity-id-001: Immunization ${index + 1} ID cannot be nullFlavor`);
+                issues.push(validationIssue('dq-immunizationActivity-id-001', `Immunization ${index + 1} ID cannot be nullFlavor`, row('.imm-immunization-id')));
             }
 
             if (imm.immunizationDate && (!imm.immunizationDate.trim() || imm.immunizationDate === 'nullFlavor')) {
-                errors.push(`dq-immunization-effectiveTime-001: Immunization ${index + 1} effective time cannot be nullFlavor`);
+                issues.push(validationIssue('dq-immunization-effectiveTime-001', `Immunization ${index + 1} effective time cannot be nullFlavor`, row('.imm-immunization-date')));
             }
 
             if (imm.immunizationDate && imm.immunizationDate.length < 8) {
-                errors.push(`dq-immunization-effectiveTime-003: Immunization ${index + 1} effective time must be at least 8 characters (YYYYMMDD)`);
+                issues.push(validationIssue('dq-immunization-effectiveTime-003', `Immunization ${index + 1} effective time must be at least 8 characters (YYYYMMDD)`, row('.imm-immunization-date')));
             }
 
             if (imm.vaccineCode && (!imm.vaccineCode.trim() || imm.vaccineCode === 'nullFlavor')) {
-                errors.push(`dq-immunization-vaccineCode-001/002: Immunization ${index + 1} vaccine code cannot be blank or nullFlavor`);
+                issues.push(validationIssue('dq-immunization-vaccineCode-001/002', `Immunization ${index + 1} vaccine code cannot be blank or nullFlavor`, row('.imm-vaccine-code')));
             }
         });
     }
 
-    return errors;
+    return issues;
 }
 
 /**
  * DQ Validation: Problem Observations
- * @returns {string[]} Array of validation errors
+ * Applies the problem observation rules to every diagnosis and problem row
+ * @returns {Object[]} Validation issues
  */
 function validateDQProblemObservations() {
-    const errors = [];
+    const issues = [];
+    const data = getFormData();
 
-    // Diagnosis validation
-    const diag1Code = document.getElementById('diagnosis1Code');
-    const diag1Date = document.getElementById('diagnosis1Date');
-    const diag1OnsetDate = document.getElementById('diagnosis1OnsetDate');
+    (data.diagnosisEvidence || []).forEach((diagnosis, index) => {
+        const row = field => ({ repeater: 'diagnosisEvidence', index: index, field: field });
+        const label = `Diagnosis ${index + 1}${diagnosis.diagnosisName ? ` (${diagnosis.diagnosisName})` : ''}`;
 
-    if (diag1Code?.value && (!diag1Code.value.trim() || diag1Code.value === 'nullFlavor')) {
-        errors.push('dq-problemObservation-002: Diagnosis 1 code cannot be nullFlavor');
-    }
+        if (!diagnosis.diagnosisCode || diagnosis.diagnosisCode === 'nullFlavor') {
+            issues.push(validationIssue('dq-problemObservation-002', `${label} code cannot be nullFlavor`, row('.de-diagnosis-code')));
+        }
 
-    if (diag1Date?.value && (!diag1Date.value.trim() || diag1Date.value === 'nullFlavor')) {
-        errors.push('dq-validate_problem_DateofDiagnosis-001: Diagnosis 1 effective time cannot be nullFlavor');
-    }
+        if (!diagnosis.diagnosisDate || diagnosis.diagnosisDate === 'nullFlavor') {
+            issues.push(validationIssue('dq-validate_problem_DateofDiagnosis-001', `${label} effective time cannot be nullFlavor`, row('.de-diagnosis-date')));
+        } else if (!validateDateFormat(diagnosis.diagnosisDate)) {
+            issues.push(validationIssue('dq-dateFormat', `${label} date must be at least 8 characters (YYYYMMDD)`, row('.de-diagnosis-date')));
+        }
 
-    if (diag1OnsetDate?.value && diag1OnsetDate.value.length < 8) {
-        errors.push('dq-validate_problem_DateofDiagnosis-003: Diagnosis 1 onset date must be at least 8 characters (YYYYMMDD)');
-    }
+        if (diagnosis.onsetDate && diagnosis.onsetDate.length < 8) {
+            issues.push(validationIssue('dq-validate_problem_DateofDiagnosis-003', `${label} onset date must be at least 8 characters (YYYYMMDD)`, row('.de-onset-date')));
+        }
+    });
+
+    (data.problemEvidence || []).forEach((problem, index) => {
+        const row = field => ({ repeater: 'problemEvidence', index: index, field: field });
+        const label = `Problem ${index + 1}${problem.problemName ? ` (${problem.problemName})` : ''}`;
+
+        if (!problem.problemCode || problem.problemCode === 'nullFlavor') {
+            issues.push(validationIssue('dq-problemObservation-002', `${label} code cannot be nullFlavor`, row('.pe-problem-code')));
+        }
 
-    return errors;
+        if (problem.onsetDate && problem.onsetDate.length < 8) {
+            issues.push(validationIssue('dq-validate_problem_DateofDiagnosis-003', `${label} onset date must be at least 8 characters (YYYYMMDD)`, row('.pe-onset-date')));
+        }
+    });
+
+    return issues;
 }
 
 /**
- * Master Form Data Validation
- * Runs all validation checks and displays results
- * @returns {boolean} True if validation passes (or only non-blocking errors exist)
- */
-function validateFormData() {
-    const allErrors = [];
-
-    // Run all DQ validation functions
-    allErrors.push(...validateDQPatientName());
-    allErrors.push(...validateDQPatientAddress());
-    allErrors.push(...validateDQAdministrativeGender());
-    allErrors.push(...validateDQRaceCode());
-    allErrors.push(...validateDQEthnicityCode());
-    allErrors.push(...validateDQDateFormats());
-    allErrors.push(...validateDQSpecimen());
-    allErrors.push(...validateDQTriggerCodes());
-    allErrors.push(...validateDQDeathIndicator());
-    allErrors.push(...validateDQLabObservations());
-    allErrors.push(...validateDQMedicationAdministration());
-    allErrors.push(...validateDQImmunizations());
-    allErrors.push(...validateDQProblemObservations());
-
-    // Legacy required fields validation
-    if (!validateRequiredFields()) {
-        allErrors.push('Required field validation failed');
-    }
+ * DQ Validation: Procedures
+ * Procedures without both a code and a name are left out of the eICR; a warning
+ * under the State PHA profile, since the rest of the eICR is still valid
+ * @returns {Object[]} Validation issues
+ */
+function validateDQProcedures() {
+    const issues = [];
+    const data = getFormData();
 
-    // Related document validation
-    if (!validateRelatedDocumentFields()) {
-        allErrors.push('Related document field validation failed');
-    }
+    (data.procedures || []).forEach((proc, index) => {
+        const row = field => ({ repeater: 'procedures', index: index, field: field });
+        const label = `Procedure ${index + 1}${proc.procedureName ? ` (${proc.procedureName})` : ''}`;
 
-    if (allErrors.length > 0) {
-        displayValidationErrors(allErrors);
+        if (!proc.procedureCode || proc.procedureCode === 'nullFlavor') {
+            issues.push(validationIssue('form-procedure-code', `${label} has no code and is left out of the eICR`, row('.proc-procedure-code')));
+        } else if (!proc.procedureName) {
+            issues.push(validationIssue('form-procedure-name', `${label} has no name and is left out of the eICR`, row('.proc-procedure-name')));
+        }
 
-        // Check if any errors are blocking (not in NON_BLOCKING_DQ set)
-        const blockingErrors = allErrors.filter(error => {
-            const errorCode = error.split(':')[0];
-            return !NON_BLOCKING_DQ.has(errorCode);
-        });
+        if (proc.procedureDate && proc.procedureDate.length < 8) {
+            issues.push(validationIssue('dq-dateFormat', `${label} date must be at least 8 characters (YYYYMMDD)`, row('.proc-procedure-date')));
+        }
+    });
+
+    return issues;
+}
+
+/**
+ * Run all validation checks without displaying the outcome
+ * @param {string} [profileId] - Validation profile setting each rule's severity (defaults to the active profile)
+ * @returns {{profile: string, issues: Object[], blocking: Object[], nonBlocking: Object[], passed: boolean}}
+ *   Rules the profile turns off are left out; nonBlocking are the warnings; passed is
+ *   false when any blocking (severity 'error') issue exists
+ */
+function runFormValidation(profileId = getActiveValidationProfile()) {
+    const allIssues = [
+        ...validateRequiredFields(),
+        ...validateRelatedDocumentFields(),
+        ...validateDQPatientName(),
+        ...validateDQPatientAddress(),
+        ...validateDQAdministrativeGender(),
+        ...validateDQRaceCode(),
+        ...validateDQEthnicityCode(),
+        ...validateDQDateFormats(),
+        ...validateDQSpecimen(),
+        ...validateDQTriggerCodes(),
+        ...validateDQDeathIndicator(),
+        ...validateDQLabObservations(),
+        ...validateDQMedicationAdministration(),
+        ...validateDQImmunizations(),
+        ...validateDQProblemObservations(),
+        ...validateDQProcedures()
+    ];
+
+    // Warnings still display but don't prevent CDA generation
+    allIssues.forEach(issue => {
+        issue.severity = getValidationRuleSeverity(issue.ruleId, profileId);
+    });
+    const issues = allIssues.filter(issue => issue.severity !== 'off');
+
+    const blocking = issues.filter(issue => issue.severity === 'error');
+    return {
+        profile: profileId,
+        issues: issues,
+        blocking: blocking,
+        nonBlocking: issues.filter(issue => issue.severity !== 'error'),
+        passed: blocking.length === 0
+    };
+}
+
+/**
+ * Master Form Data Validation
+ * Runs all validation checks and displays results
+ * @param {object} [validation] - Result of runFormValidation(), when already run
+ * @returns {boolean} True if validation passes (or only non-blocking issues exist)
+ */
+function validateFormData(validation = runFormValidation()) {
+    if (validation.issues.length > 0) {
+        displayValidationErrors(validation.issues);
 
         // Only return false if there are blocking errors
-        return blockingErrors.length === 0;
+        return validation.passed;
     }
 
     // Clear any existing errors and show success message
+    clearValidationHighlights();
     const existingErrors = document.getElementById('validation-errors');
     if (existingErrors) {
         existingErrors.style.display = 'none';
@@ -585,25 +779,109 @@ function validateFormData() {
     return true;
 }
 
+/**
+ * Remove the inline highlighting of a previous validation run
+ */
+function clearValidationHighlights() {
+    document.querySelectorAll('.validation-invalid, .validation-warning').forEach(el => {
+        el.classList.remove('validation-invalid', 'validation-warning');
+        if (el.dataset.validationTitle !== undefined) {
+            el.title = el.dataset.validationTitle;
+            delete el.dataset.validationTitle;
+        }
+    });
+}
+
+/**
+ * Highlight the input an issue points at; the highlight goes once the input is edited
+ * @param {HTMLElement} element - Input or repeater row
+ * @param {Object[]} issues - Issues for this element
+ */
+function highlightValidationTarget(element, issues) {
+    const isError = issues.some(issue => issue.severity === 'error');
+    element.classList.add(isError ? 'validation-invalid' : 'validation-warning');
+    if (element.dataset.validationTitle === undefined) element.dataset.validationTitle = element.title;
+    element.title = issues.map(issue => issue.message).join('\n');
+
+    element.addEventListener('input', () => {
+        element.classList.remove('validation-invalid', 'validation-warning');
+        element.title = element.dataset.validationTitle || '';
+        delete element.dataset.validationTitle;
+    }, { once: true });
+}
+
+/**
+ * Scroll to and focus the input of an issue
+ * @param {HTMLElement} element - Input or repeater row
+ */
+function jumpToValidationTarget(element) {
+    // Repeater rows and sections can be collapsed in <details>
+    for (let node = element.parentElement; node; node = node.parentElement) {
+        if (node.tagName === 'DETAILS') node.open = true;
+    }
+    element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    if (typeof element.focus === 'function') element.focus({ preventScroll: true });
+}
+
+const VALIDATION_ERRORS_STYLE = 'background: #fee; border: 2px solid #f00; padding: 20px; margin: 20px 0; border-radius: 5px;';
+
 /**
  * Display Validation Errors
- * Shows validation errors in a formatted container
- * @param {string[]} errors - Array of error messages
+ * Shows the issues grouped by form section, highlights the offending inputs and
+ * links each issue to its input
+ * @param {Object[]} issues - Validation issues
  */
-function displayValidationErrors(errors) {
+function displayValidationErrors(issues) {
+    clearValidationHighlights();
+
     const errorContainer = document.getElementById('validation-errors') || createErrorContainer();
     errorContainer.innerHTML = '<h3>DQ Schematron Validation Errors:</h3>';
-
-    const errorList = document.createElement('ul');
-    errors.forEach(error => {
-        const errorItem = document.createElement('li');
-        errorItem.textContent = error;
-        errorItem.style.color = 'red';
-        errorItem.style.marginBottom = '5px';
-        errorList.appendChild(errorItem);
+    // index.html ships an unstyled, hidden #validation-errors placeholder
+    errorContainer.style.cssText = VALIDATION_ERRORS_STYLE;
+
+    const targets = new Map();
+    const sections = new Map();
+    issues.forEach(issue => {
+        const target = findValidationTarget(issue);
+        if (target) targets.set(target, [...(targets.get(target) || []), issue]);
+
+        const section = getValidationSection(target);
+        if (!sections.has(section)) sections.set(section, []);
+        sections.get(section).push({ issue, target });
+    });
+    targets.forEach((targetIssues, target) => highlightValidationTarget(target, targetIssues));
+
+    sections.forEach((entries, section) => {
+        const heading = document.createElement('h4');
+        heading.textContent = section;
+        heading.style.margin = '12px 0 4px';
+        errorContainer.appendChild(heading);
+
+        const errorList = document.createElement('ul');
+        entries.forEach(({ issue, target }) => {
+            const errorItem = document.createElement('li');
+            errorItem.style.color = issue.severity === 'error' ? 'red' : '#b45309';
+            errorItem.style.marginBottom = '5px';
+
+            const text = `${issue.severity === 'error' ? '' : 'Warning: '}${formatValidationIssue(issue)}`;
+            if (target) {
+                const link = document.createElement('a');
+                link.href = '#';
+                link.textContent = text;
+                link.style.color = 'inherit';
+                link.onclick = event => {
+                    event.preventDefault();
+                    jumpToValidationTarget(target);
+                };
+                errorItem.appendChild(link);
+            } else {
+                errorItem.textContent = text;
+            }
+            errorList.appendChild(errorItem);
+        });
+        errorContainer.appendChild(errorList);
     });
 
-    errorContainer.appendChild(errorList);
     errorContainer.scrollIntoView({ behavior: 'smooth' });
 }
 
@@ -615,7 +893,7 @@ function displayValidationErrors(errors) {
 function createErrorContainer() {
     const container = document.createElement('div');
     container.id = 'validation-errors';
-    container.style.cssText = 'background: #fee; border: 2px solid #f00; padding: 20px; margin: 20px 0; border-radius: 5px;';
+    container.style.cssText = VALIDATION_ERRORS_STYLE;
     document.querySelector('.container').insertBefore(container, document.querySelector('.footer-buttons'));
     return container;
 }
@@ -664,7 +942,14 @@ function displayValidationSuccess() {
 
 // Expose functions globally for onclick attributes and other modules
 window.validateFormData = validateFormData;
+window.runFormValidation = runFormValidation;
+window.formatValidationIssue = formatValidationIssue;
+window.getActiveValidationProfile = getActiveValidationProfile;
+window.populateValidationProfiles = populateValidationProfiles;
+window.clearValidationHighlights = clearValidationHighlights;
 window.validateTriggerCode = validateTriggerCode;
+window.isRCTCTriggerCode = isRCTCTriggerCode;
+window.getRCTCTriggerValueSets = getRCTCTriggerValueSets;
 window.validateXMLComments = validateXMLComments;
 
 console.log('✅ validation.js loaded successfully. validateFormData:', typeof window.validateFormData);
@@ -94,9 +94,10 @@ function generateRelatedDocumentXml(data) {
   <!-- Related Document Information -->
   <relatedDocument typeCode="${typeCode}">
     <parentDocument>
-      <setId extension="${relatedSetId}" root="1.2.840.114350.1.13.380.3.7.1.1" />
+      ${data.relatedDocumentParentId ? `<id root="${xmlEscape(data.relatedDocumentParentId)}" />` : ''}
       <code code="55751-2" codeSystem="2.16.840.1.113883.6.1"
             codeSystemName="LOINC" displayName="Public Health Case Report" />
+      <setId extension="${relatedSetId}" root="1.2.840.114350.1.13.380.3.7.1.1" />
     </parentDocument>
   </relatedDocument>`;
 }
@@ -205,11 +206,12 @@ function normalizeTS(raw) {
 }
 
 /**
- * Gets global results providers information from form
+ * Gets global results providers information from form data
+ * @param {Object} data - Form data
  * @returns {Object} Provider information for results
  */
-function getGlobalResultsProviders() {
-  const v = id => (document.getElementById(id)?.value || '').trim();
+function getGlobalResultsProviders(data) {
+  const v = field => String(data[field] || '').trim();
   return {
     // Performing lab (organization)
     labCLIA: v('resultLabCLIA'),
@@ -1159,13 +1161,11 @@ function generateDiagnosisEntries(data) {
   const result = diagnoses.map(diagnosis => {
     console.log('Processing diagnosis:', diagnosis);
 
-    // Determine if this is an RCTC trigger code
-    const isRCTCCode = isRCTCTriggerCode(diagnosis.diagnosisCode);
-
-    // Get appropriate valueSet info for RCTC codes
-    const valueSetInfo = isRCTCCode ? {
-      oid: '2.16.840.1.113762.1.4.1146.2260',
-      version: '2.0.1'
+    // RCTC trigger codes carry the SNOMED CT value set they are in and its RCTC release
+    const triggerValueSet = getRCTCTriggerValueSets(diagnosis.diagnosisCode, 'SNOMEDCT')[0];
+    const valueSetInfo = triggerValueSet ? {
+      oid: triggerValueSet.valueSetOid,
+      version: triggerValueSet.rctcVersion
     } : null;
 
     return `
@@ -1187,7 +1187,7 @@ function generateDiagnosisEntries(data) {
                             code="${xmlEscape(diagnosis.diagnosisCode)}"
                             codeSystem="2.16.840.1.113883.6.96"
                             codeSystemName="SNOMED CT"
-                            displayName="${xmlEscape(diagnosis.diagnosisName)}"${valueSetInfo ? ` sdtc:valueSet="${valueSetInfo.oid}" sdtc:valueSetVersion="${valueSetInfo.version}"` : ''} />`
+                            displayName="${xmlEscape(diagnosis.diagnosisName)}"${valueSetInfo ? ` sdtc:valueSet="${xmlEscape(valueSetInfo.oid)}" sdtc:valueSetVersion="${xmlEscape(valueSetInfo.version)}"` : ''} />`
         : `<value xsi:type="CD"
                             nullFlavor="UNK"
                             displayName="${xmlEscape(diagnosis.diagnosisName)}" />`
@@ -1377,36 +1377,41 @@ function generateProblemEntries(data) {
 
 /**
  * Builds results section XML with lab evidence
- * @param {Array} labEvidence - Array of lab evidence objects
- * @param {string} rctcVersion - RCTC version
+ * Labs whose test (LOINC) or coded result (SNOMED CT) is an RCTC trigger code are
+ * Trigger Code Result Observations carrying that value set and its RCTC release.
+ * @param {Object} data - Form data (labEvidence rows and results providers)
  * @returns {string} Results section XML or empty string
  */
-function buildResultsSectionXML(labEvidence, rctcVersion = '2016-12-01') {
+function buildResultsSectionXML(data) {
+  const labEvidence = data.labEvidence;
   if (!labEvidence || labEvidence.length === 0) return '';
 
   const esc = s => xmlEscape(s || '');
-  const data = getFormData(); // Get current form data for provider info
+  const providers = getGlobalResultsProviders(data);
 
   const obsXml = labEvidence.map(le => {
     const id = generateGUID();
-    const vsOID = '2.16.840.1.114222.4.11.7508';
 
     // Use test code as primary, fall back to order code
     const primaryCode = le.testCode || le.orderCode || '';
     const primaryName = le.testName || le.orderName || '';
 
+    const testValueSet = getRCTCTriggerValueSets(primaryCode, 'LOINC')[0];
+    const resultValueSet = le.valueKind === 'coded' ? getRCTCTriggerValueSets(le.valueCode, 'SNOMEDCT')[0] : undefined;
+    const valueSetAttrs = vs => `sdtc:valueSet="${esc(vs.valueSetOid)}" sdtc:valueSetVersion="${esc(vs.rctcVersion)}"`;
+
     const codeAttrs = [
       primaryCode ? `code="${esc(primaryCode)}"` : 'nullFlavor="UNK"',
       `codeSystem="2.16.840.1.113883.6.1"`,
       `codeSystemName="LOINC"`,
       primaryName ? `displayName="${esc(primaryName)}"` : null,
-      `sdtc:valueSet="${vsOID}" sdtc:valueSetVersion="${esc(rctcVersion)}"`
+      testValueSet ? valueSetAttrs(testValueSet) : null
     ].filter(Boolean).join(' ');
 
     // Build <value> based on valueKind
     let valueXml = `<value xsi:type="CD" nullFlavor="UNK"/>`;
     if (le.valueKind === 'coded' && le.valueCode) {
-      const vsPair = le.isRCTC ? ` sdtc:valueSet="${esc(vsOID)}" sdtc:valueSetVersion="${esc(rctcVersion)}"` : '';
+      const vsPair = resultValueSet ? ` ${valueSetAttrs(resultValueSet)}` : '';
       valueXml = `<value xsi:type="CD"
              code="${esc(le.valueCode)}"
              ${le.valueName ? `displayName="${esc(le.valueName)}"` : ''}
@@ -1435,16 +1440,16 @@ function buildResultsSectionXML(labEvidence, rctcVersion = '2016-12-01') {
       : '';
 
     // Build Author (Ordering Provider)
-    const orderingAuthor = (data.resultOrderingNPI || data.resultOrderingGiven || data.resultOrderingFamily) ? `
+    const orderingAuthor = (providers.ordNPI || providers.ordGiven || providers.ordFamily) ? `
       <author>
         <templateId root="2.16.840.1.113883.10.20.22.4.119"/>
         <time value="${esc(normalizeTS(le.orderTime || le.time || data.encounterDate))}"/>
         <assignedAuthor>
-          ${data.resultOrderingNPI ? `<id extension="${esc(data.resultOrderingNPI)}" root="2.16.840.1.113883.4.6"/>` : `<id nullFlavor="UNK"/>`}
+          ${providers.ordNPI ? `<id extension="${esc(providers.ordNPI)}" root="2.16.840.1.113883.4.6"/>` : `<id nullFlavor="UNK"/>`}
           <assignedPerson>
             <name>
-              ${data.resultOrderingGiven ? `<given>${esc(data.resultOrderingGiven)}</given>` : ''}
-              ${data.resultOrderingFamily ? `<family>${esc(data.resultOrderingFamily)}</family>` : ''}
+              ${providers.ordGiven ? `<given>${esc(providers.ordGiven)}</given>` : ''}
+              ${providers.ordFamily ? `<family>${esc(providers.ordFamily)}</family>` : ''}
             </name>
           </assignedPerson>
         </assignedAuthor>
@@ -1464,21 +1469,21 @@ function buildResultsSectionXML(labEvidence, rctcVersion = '2016-12-01') {
       </author>`;
 
     // Build Performer (Lab/Resulting Performer)
-    const performer = (data.resultPerformerNPI || data.resultPerformerGiven || data.resultPerformerFamily || data.resultLabName) ? `
+    const performer = (providers.perfNPI || providers.perfGiven || providers.perfFamily || providers.labName) ? `
       <performer typeCode="PRF">
         <assignedEntity>
-          ${data.resultPerformerNPI ? `<id extension="${esc(data.resultPerformerNPI)}" root="2.16.840.1.113883.4.6"/>` : `<id nullFlavor="UNK"/>`}
-          ${(data.resultPerformerGiven || data.resultPerformerFamily) ? `
+          ${providers.perfNPI ? `<id extension="${esc(providers.perfNPI)}" root="2.16.840.1.113883.4.6"/>` : `<id nullFlavor="UNK"/>`}
+          ${(providers.perfGiven || providers.perfFamily) ? `
           <assignedPerson>
             <name>
-              ${data.resultPerformerGiven ? `<given>${esc(data.resultPerformerGiven)}</given>` : ''}
-              ${data.resultPerformerFamily ? `<family>${esc(data.resultPerformerFamily)}</family>` : ''}
+              ${providers.perfGiven ? `<given>${esc(providers.perfGiven)}</given>` : ''}
+              ${providers.perfFamily ? `<family>${esc(providers.perfFamily)}</family>` : ''}
             </name>
           </assignedPerson>` : ''}
-          ${(data.resultLabName || data.resultLabCLIA) ? `
+          ${(providers.labName || providers.labCLIA) ? `
           <representedOrganization>
-            ${data.resultLabCLIA ? `<id extension="${esc(data.resultLabCLIA)}" root="2.16.840.1.113883.4.7"/>` : ''}
-            ${data.resultLabName ? `<name>${esc(data.resultLabName)}</name>` : ''}
+            ${providers.labCLIA ? `<id extension="${esc(providers.labCLIA)}" root="2.16.840.1.113883.4.7"/>` : ''}
+            ${providers.labName ? `<name>${esc(providers.labName)}</name>` : ''}
           </representedOrganization>` : ''}
         </assignedEntity>
       </performer>` : '';
@@ -1518,9 +1523,9 @@ function buildResultsSectionXML(labEvidence, rctcVersion = '2016-12-01') {
             <observation classCode="OBS" moodCode="EVN">
               <!-- Result Observation (V3) -->
               <templateId root="2.16.840.1.113883.10.20.22.4.2"/>
-              <templateId root="2.16.840.1.113883.10.20.22.4.2" extension="2015-08-01"/>
+              <templateId root="2.16.840.1.113883.10.20.22.4.2" extension="2015-08-01"/>${testValueSet || resultValueSet ? `
               <!-- Initial Case Report Trigger Code Result Observation (eICR) -->
-              <templateId root="2.16.840.1.113883.10.20.15.2.3.2" extension="2016-12-01"/>
+              <templateId root="2.16.840.1.113883.10.20.15.2.3.2" extension="2016-12-01"/>` : ''}
               <id root="${id}"/>
               <code ${codeAttrs}/>
               <statusCode code="${esc(le.status || 'completed')}"/>
@@ -1597,16 +1602,15 @@ function buildResultsSectionXML(labEvidence, rctcVersion = '2016-12-01') {
  * CRITICAL: This function generates ~3500 lines of standards-compliant medical XML.
  * DO NOT modify without thorough understanding of HL7 CDA R2 implementation requirements.
  *
+ * Works on the data object alone (no DOM access), so saved JSON forms can be
+ * built in batch or outside the browser. DQ Schematron validation of the form
+ * (validateFormData) is the caller's job.
+ *
+ * @param {Object} data - Canonical form data (getFormData() shape)
  * @returns {string} Complete eICR XML document
- * @throws {Error} If validation fails or required data is missing
+ * @throws {Error} If required data is missing
  */
-function buildEICRXml() {
-  // Run comprehensive DQ Schematron validation first
-  if (!validateFormData()) {
-    throw new Error('Form data does not pass DQ Schematron validation. Please correct the errors and try again.');
-  }
-
-  const data = getFormData();
+function buildEICRXml(data) {
 
   // Additional CDA-specific validation
   if (!data.patientId || !data.patientName || !data.providerId) {
@@ -2034,7 +2038,7 @@ function buildEICRXml() {
           </entry>
         </section>
       </component>
-      ${(data.labEvidence && data.labEvidence.length) ? buildResultsSectionXML(data.labEvidence, '2016-12-01') : ''}
+      ${(data.labEvidence && data.labEvidence.length) ? buildResultsSectionXML(data) : ''}
       <!-- Social History Section -->
       <component>
         <section>
@@ -2573,18 +2577,20 @@ function buildEICRXml() {
 
 /**
  * Main eICR XML generation function
+ * @param {Object} [data] - Form data (defaults to the current form)
  * @returns {string} Complete eICR XML
  */
-function generateEICRXml() {
-  return buildEICRXml();
+function generateEICRXml(data = getFormData()) {
+  return buildEICRXml(data);
 }
 
 /**
  * Alias function for CDA generation
+ * @param {Object} [data] - Form data (defaults to the current form)
  * @returns {string} Complete CDA XML
  */
-function generateCDA() {
-  return buildEICRXml();
+function generateCDA(data = getFormData()) {
+  return buildEICRXml(data);
 }
 
 // ============================================================================
@@ -2622,18 +2628,26 @@ function buildMetadataXml(data, zipFilename) {
 
 /**
  * Generates RR XML
+ * @param {object} data - Canonical form data (getFormData())
+ * @param {object} evaluation - Reportability engine result
+ * @param {object} validation - Result of runFormValidation()
+ * @param {object} [eicrIds] - getEICRIdentifiers() of the eICR responded to
  * @returns {string} Complete RR XML
  */
-function generateRR() {
-  return buildRRXml();
+function generateRR(data, evaluation, validation, eicrIds) {
+  return buildRRXml(data, evaluation, validation, eicrIds);
 }
 
 /**
  * Generates RR XML (alias)
+ * @param {object} data - Canonical form data (getFormData())
+ * @param {object} evaluation - Reportability engine result
+ * @param {object} validation - Result of runFormValidation()
+ * @param {object} [eicrIds] - getEICRIdentifiers() of the eICR responded to
  * @returns {string} Complete RR XML
  */
-function generateRRXml() {
-  return buildRRXml();
+function generateRRXml(data, evaluation, validation, eicrIds) {
+  return buildRRXml(data, evaluation, validation, eicrIds);
 }
 
 // Expose functions globally for cross-module access